@@ -1,10 +1,21 @@
 /**
  * Klondike Draw 3 Solitaire Engine
- * Implements the classic Klondike solitaire with draw-3 stock behavior
+ * Implements the classic Klondike solitaire with draw-3 stock behavior.
+ * Draw-1 and limited passes through the stock are available through the
+ * `rules` option (see updateOptions).
+ *
+ * The rules themselves (dealing, legal moves, flips, scoring events, wins)
+ * live in the DOM-free KlondikeRules module. This engine renders its states,
+ * turns clicks, drags and keys into rules moves, and animates the results.
  */
 
 class Klondike3Engine {
-  constructor() {
+  /**
+   * @param {Object} options - Initial options, same shape as updateOptions
+   * @param {boolean} options.viewOnly - Render-only board for the replay
+   *   viewer (constructor only, see klondikeReplay.js)
+   */
+  constructor(options = {}) {
     this.rootElement = null;
     this.callbacks = null;
     this.gameState = null;
@@ -15,25 +26,109 @@ class Klondike3Engine {
     this.dragData = null;
     // Stores the last computed hint move so we can reapply or clear visuals.
     this.currentHint = null;
+    // Ranked hints for one position; repeated hint requests step through them
+    this.hintCycle = null;
+    this.hintMessageTimer = null;
     
     // Animation state flags
     this.isMoveAnimating = false;
     this.isFlipAnimating = false;
+    // Running animations, each by the function that ends it (see
+    // trackAnimation), and whether they are being skipped to their end
+    this.runningAnimations = new Set();
+    this.isFastForwarding = false;
+    // Player input given while cards are moving, played once they have
+    // landed (see queueInput)
+    this.inputQueue = [];
+    this.inputDrainTimer = null;
+    this.fastForwardOnInput = false;
     
     // Track cards revealed in the last move for flip animation
     this.revealedCardIds = new Set();
+
+    // Rendered elements, kept across renders so a move only patches what
+    // changed: one per card id, and the stock back and pile placeholders
+    // by name (see renderCard)
+    this.cardElements = new Map();
+    this.pileElements = new Map();
+    // Prefix of the card element ids, unique to this engine on the page
+    Klondike3Engine.instanceCount = (Klondike3Engine.instanceCount || 0) + 1;
+    this.domIdPrefix = `klondike${Klondike3Engine.instanceCount}`;
     
-    // Track metadata for last move to enable undo animations
-    this.lastMoveMeta = null;
+    // Keyboard play: the pile (and tableau card) under the keyboard cursor,
+    // and the card or run picked up with Enter/Space waiting to be dropped
+    this.keyboardCursor = { pileId: 'stock-pile', cardIndex: null };
+    this.keyboardSelection = null;
+    // Screen reader announcements queued within the current task
+    this.pendingAnnouncements = [];
+    this.announceTimer = null;
+    // Touch/pen press in progress (see handlePointerDown)
+    this.pointerPress = null;
+    // Time the last touch drag ended, to swallow the click that may follow
+    this.pointerDragEndedAt = 0;
+    // Log of the moves that led to the current position (see recordMove).
+    // Each entry is also the move's Undo command: it says what the move did,
+    // which is all undo, redo and their animations need.
+    this.moveHistory = [];
+    // Time bonus added to the score when the deal was won, given back if
+    // the winning move is undone
+    this.winTimeBonus = 0;
     
     // Central animation speed system (single source of truth)
     this.animationSpeedPreset = "normal"; // "slow" | "normal" | "fast"
     this.animationBaseMs = 80; // Base unit for normal preset
     this.animationsEnabled = true; // Default: animations on
+    // "reduced" (the player's motion setting or the system's reduced-motion
+    // preference): cards cross-fade instead of travelling, turn over
+    // without the 3D flip, and hints do not pulse
+    this.motionMode = "full"; // "full" | "reduced"
     
     // Other game options
     this.autoplayMode = "obvious"; // "off" | "obvious" | "won"
     this.soundEnabled = true; // Default: sound on
+    this.soundVolume = 0.8; // 0..1
+    
+    // Autoplay state: set by registerMove, consumed after the next display update
+    this.autoplayPending = false;
+    this.autoplayTimer = null;
+    
+    // Stuck check: set by registerMove, consumed after the next display update.
+    // lossReported keeps onLoss from firing again until the player gets out.
+    this.lossCheckPending = false;
+    this.lossReported = false;
+    
+    // Seed of the current deal (the "deal number"); replaying a seed
+    // through startNewDeal({ seed }) reproduces the exact same layout
+    this.currentSeed = null;
+    // Layout of the current deal before its first move, whether it was
+    // dealt from a seed or imported (see importGame). restartDeal deals it
+    // again.
+    this.currentLayout = null;
+    
+    // Rules for upcoming deals. Each deal copies them into gameState.rules,
+    // so changing them mid-game never alters the deal in progress.
+    this.rules = {
+      drawCount: 3,    // 1 | 3 cards per stock click
+      maxPasses: null  // null (unlimited) | 3 | 1 passes through the stock
+    };
+    
+    // Scoring mode for upcoming deals (see klondikeScoring.js); like the
+    // rules, each deal keeps the mode it was dealt with in gameState
+    this.scoringMode = "standard"; // "standard" | "vegas" | "vegas-cumulative"
+    
+    // "Winnable deals only": random deals are checked by KlondikeSolver (in
+    // a Web Worker) before they are dealt. Deals by number never are.
+    this.winnableOnly = false;
+    this.solverWorker = null;
+    this.isFindingDeal = false;
+    // Incremented by every deal, so a search that finishes late is ignored
+    this.dealRequestId = 0;
+    
+    // View-only boards (the replay viewer) only render positions: no input,
+    // no sounds, and no access to the shared Undo history or bankroll
+    this.viewOnly = !!options.viewOnly;
+    
+    this.updateOptions(options);
   }
   
   /**
@@ -48,8 +143,18 @@ class Klondike3Engine {
    * @param {Object} options - Configuration options
    * @param {string} options.animationSpeedPreset - "slow" | "normal" | "fast"
    * @param {boolean} options.animationsEnabled - Enable/disable animations
+   * @param {string} options.motionMode - "full" | "reduced"
+   * @param {boolean} options.fastForwardOnInput - Input given during an
+   *   animation skips it to its end instead of waiting for it
    * @param {string} options.autoplayMode - "off" | "obvious" | "won"
    * @param {boolean} options.soundEnabled - Enable/disable sound effects
+   * @param {number} options.soundVolume - Sound effects volume, 0..1
+   * @param {Object} options.rules - { drawCount: 1 | 3, maxPasses: null | number },
+   *   applied from the next deal on
+   * @param {string} options.scoringMode - "standard" | "vegas" | "vegas-cumulative",
+   *   applied from the next deal on
+   * @param {boolean} options.winnableOnly - Only deal random deals the solver
+   *   can win, applied from the next deal on
    */
   updateOptions(options = {}) {
     console.log('🎮 Engine: updateOptions called with:', options);
@@ -91,15 +196,78 @@ class Klondike3Engine {
       }
     }
     
+    // Update motion mode
+    if (options.motionMode && ['full', 'reduced'].includes(options.motionMode)) {
+      if (this.motionMode !== options.motionMode) {
+        this.motionMode = options.motionMode;
+        console.log(`🎮 Engine: Motion mode set to "${this.motionMode}"`);
+        this.applyMotionClasses();
+      }
+    }
+    
+    if (typeof options.fastForwardOnInput === 'boolean') {
+      this.fastForwardOnInput = options.fastForwardOnInput;
+    }
+    
+    // Update autoplay mode
+    if (options.autoplayMode &&
+        ['off', 'obvious', 'won'].includes(options.autoplayMode)) {
+      if (this.autoplayMode !== options.autoplayMode) {
+        this.autoplayMode = options.autoplayMode;
+        console.log(`🎮 Engine: Autoplay mode set to "${this.autoplayMode}"`);
+        
+        // Apply the new mode to the current position, but never make the
+        // first move of a deal on the player's behalf (it starts the timer).
+        if (this.autoplayMode === 'off') {
+          this.cancelAutoplay();
+        } else if (this.gameState && this.firstMoveDone) {
+          this.scheduleAutoplay();
+        }
+      }
+    }
+    
     // Store other options for future use (placeholders for future features)
-    if (options.autoplayMode) {
-      this.autoplayMode = options.autoplayMode;
-      console.log(`🎮 Engine: Autoplay mode set to "${this.autoplayMode}" (not yet implemented)`);
+    
+    // Update rules for the next deal
+    if (options.rules) {
+      const { drawCount, maxPasses } = options.rules;
+      if (drawCount === 1 || drawCount === 3) {
+        this.rules.drawCount = drawCount;
+      }
+      if (maxPasses === null || (Number.isInteger(maxPasses) && maxPasses > 0)) {
+        this.rules.maxPasses = maxPasses;
+      }
+      console.log(`🎮 Engine: Rules set to draw ${this.rules.drawCount}, ${this.rules.maxPasses === null ? 'unlimited' : this.rules.maxPasses} pass(es)`);
+    }
+    
+    // Update scoring mode for the next deal
+    if (options.scoringMode) {
+      const scoring = this.getScoring();
+      if (!scoring || scoring.isMode(options.scoringMode)) {
+        this.scoringMode = options.scoringMode;
+        console.log(`🎮 Engine: Scoring mode set to "${this.scoringMode}"`);
+      }
     }
     
+    // Update "winnable deals only" for the next deal
+    if (typeof options.winnableOnly === 'boolean') {
+      this.winnableOnly = options.winnableOnly;
+      console.log(`🎮 Engine: Winnable deals only ${this.winnableOnly ? 'on' : 'off'}`);
+    }
+    
+    const soundManager = this.getSoundManager();
+
     if (typeof options.soundEnabled === 'boolean') {
       this.soundEnabled = options.soundEnabled;
-      console.log(`🎮 Engine: Sound ${this.soundEnabled ? 'enabled' : 'disabled'} (not yet implemented)`);
+      if (soundManager) soundManager.setEnabled(this.soundEnabled);
+      console.log(`🎮 Engine: Sound ${this.soundEnabled ? 'enabled' : 'disabled'}`);
+    }
+
+    if (typeof options.soundVolume === 'number' &&
+        options.soundVolume >= 0 && options.soundVolume <= 1) {
+      this.soundVolume = options.soundVolume;
+      if (soundManager) soundManager.setVolume(this.soundVolume);
+      console.log(`🎮 Engine: Sound volume set to ${this.soundVolume}`);
     }
   }
   
@@ -110,13 +278,179 @@ class Klondike3Engine {
    */
   getAnimationDurations() {
     // Use animationBaseMs as the single source of truth
-    // All durations scale proportionally from this base
+    // All durations scale proportionally from this base. While animations
+    // are fast-forwarded, the ones that follow (e.g. the move after an
+    // undo's flip) are skipped as well.
+    // With reduced motion there is no flip to wait for: cards turn over at
+    // once (their front fades in, see styles.css).
+    const baseMs = this.isFastForwarding ? 0 : this.animationBaseMs;
+    const flipBaseMs = this.isReducedMotion ? 0 : baseMs;
     return {
-      moveDurationMs: 2 * this.animationBaseMs,      // Normal: 160ms, Fast: 80ms, Slow: 320ms, Off: 0-2ms
-      flipTotalMs: 2.5 * this.animationBaseMs,       // Normal: 200ms, Fast: 100ms, Slow: 400ms, Off: 0-2.5ms
-      flipMidpointMs: 1.25 * this.animationBaseMs,   // Normal: 100ms, Fast: 50ms, Slow: 200ms, Off: 0-1.25ms
-      stockDelayMs: 1 * this.animationBaseMs         // Normal: 80ms, Fast: 40ms, Slow: 160ms, Off: 0-1ms
+      moveDurationMs: 2 * baseMs,      // Normal: 160ms, Fast: 80ms, Slow: 320ms, Off: 0-2ms
+      flipTotalMs: 2.5 * flipBaseMs,   // Normal: 200ms, Fast: 100ms, Slow: 400ms, Off: 0-2.5ms
+      flipMidpointMs: 1.25 * flipBaseMs, // Normal: 100ms, Fast: 50ms, Slow: 200ms, Off: 0-1.25ms
+      stockDelayMs: 1 * baseMs         // Normal: 80ms, Fast: 40ms, Slow: 160ms, Off: 0-1ms
+    };
+  }
+
+  /**
+   * True in the "reduced" motion mode: moves are cross-fades
+   */
+  get isReducedMotion() {
+    return this.motionMode === 'reduced';
+  }
+
+  /**
+   * Internal helper: switch the board's CSS between full and reduced
+   * motion, and off for animations that are off altogether (cards keep
+   * their elements between renders, so their CSS transitions - the flip -
+   * would otherwise still run)
+   */
+  applyMotionClasses() {
+    const gameRoot = this.rootElement && this.rootElement.querySelector('.klondike-root');
+    if (gameRoot) {
+      gameRoot.classList.toggle('klondike-animations-off', !this.animationsEnabled);
+      gameRoot.classList.toggle('klondike-reduced-motion', this.isReducedMotion);
+    }
+  }
+
+  /**
+   * Internal helper: register a running animation. `finish` takes it to its
+   * end state: it removes what the animation added, clears its flag and
+   * resolves its promise. Returns the function that ends the animation,
+   * called by its own timer or early by finishAnimations; only the first
+   * call counts.
+   */
+  trackAnimation(finish) {
+    const end = () => {
+      if (!this.runningAnimations.delete(end)) return;
+      finish();
+      this.scheduleInputDrain();
     };
+    this.runningAnimations.add(end);
+    return end;
+  }
+
+  /**
+   * Internal helper: jump every running animation to its end. Animations
+   * started by their promises meanwhile are skipped too, until the queued
+   * input has been played (see drainInputQueue).
+   */
+  finishAnimations() {
+    this.isFastForwarding = true;
+    Array.from(this.runningAnimations).forEach(end => end());
+    this.scheduleInputDrain();
+  }
+
+  /**
+   * Internal helper: drags cannot wait for an animation (the browser starts
+   * them at once), so they jump the running animations to their end and
+   * show the board as it is now.
+   */
+  finishAnimationsForDrag() {
+    if (!this.isAnimating) return;
+    this.finishAnimations();
+    this.updateDisplay(0);
+  }
+
+  /**
+   * Internal helper: play a player's input now, or, while cards are moving
+   * or earlier input is still waiting, queue it to play after them. Queued
+   * input plays in order, each waiting for the animations the one before it
+   * started, so fast clicks are never lost. With `fastForwardOnInput`, new
+   * input skips the running animations to their end instead.
+   * @param {Function} action - Plays the input on the board as it is then
+   * @param {Object} options
+   * @param {boolean} options.waitForAnimation - False for input that does
+   *   not need a settled board (moving the keyboard cursor): it only waits
+   *   for queued input, never for an animation
+   * @returns {boolean} True if the input was played at once
+   */
+  queueInput(action, options = {}) {
+    const waitForAnimation = options.waitForAnimation !== false;
+    if (this.inputQueue.length === 0 && !(waitForAnimation && this.isAnimating)) {
+      action();
+      return true;
+    }
+
+    this.inputQueue.push({ action, waitForAnimation });
+    if (this.fastForwardOnInput) {
+      this.finishAnimations();
+    }
+    this.scheduleInputDrain();
+    return false;
+  }
+
+  /**
+   * Internal helper: play queued input once the board has settled: after
+   * the promise chains of the animations that ended have re-rendered it,
+   * and after the next frame has started any flips.
+   */
+  scheduleInputDrain() {
+    if (this.inputDrainTimer) return;
+    this.inputDrainTimer = setTimeout(() => {
+      requestAnimationFrame(() => {
+        this.inputDrainTimer = null;
+        this.drainInputQueue();
+      });
+    }, 0);
+  }
+
+  /**
+   * Internal helper: play queued input in order until one of them starts an
+   * animation; the end of that animation drains the rest.
+   */
+  drainInputQueue() {
+    this.isFastForwarding = false;
+    if (!this.rootElement || !this.gameState) {
+      this.inputQueue = [];
+      return;
+    }
+
+    while (this.inputQueue.length > 0) {
+      if (this.inputQueue[0].waitForAnimation && this.isAnimating) {
+        if (this.fastForwardOnInput) {
+          this.finishAnimations();
+        }
+        return;
+      }
+      this.inputQueue.shift().action();
+    }
+  }
+
+  /**
+   * Internal helper: the card element a queued click on `cardId` at
+   * `location` stands for now. A card that has moved on since (e.g. the
+   * first click of a double-click sent it to a foundation) leaves the click
+   * to the card now on top of that pile.
+   */
+  resolveQueuedCard(cardId, location) {
+    const cardElement = this.cardElements.get(cardId);
+    if (cardElement && cardElement.isConnected && cardElement.dataset.location === location) {
+      return cardElement;
+    }
+    const pile = KlondikeRules.getPile(this.gameState, location);
+    const topCard = pile && pile.length > 0 ? pile[pile.length - 1] : null;
+    const topElement = topCard ? this.cardElements.get(topCard.id) : null;
+    return topElement && topElement.isConnected ? topElement : null;
+  }
+
+  /**
+   * Public API: resolves once no card is moving or flipping, e.g. so the
+   * shell can celebrate a win after the last card has landed. onWin fires
+   * before that card's move is animated, so this first waits a frame.
+   */
+  whenAnimationsDone() {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.isAnimating) {
+          setTimeout(check, Math.max(this.animationBaseMs, 16));
+        } else {
+          resolve();
+        }
+      };
+      requestAnimationFrame(check);
+    });
   }
 
   /**
@@ -127,6 +461,9 @@ class Klondike3Engine {
    * adjust this method.
    */
   getUndoManager() {
+    if (this.viewOnly) {
+      return null;
+    }
     // Defensive: in a browser environment, UndoManager is attached to window
     // by src/scripts/undoManager.js. If it is not available, we return null
     // and the calling code should simply skip Undo integration.
@@ -141,34 +478,130 @@ class Klondike3Engine {
   }
 
   /**
-   * Internal helper: capture a snapshot of the current game state for Undo.
-   *
-   * Important:
-   * - We always push the full `this.gameState` object.
-   * - Call this exactly once for each logical move, and always BEFORE you
-   *   mutate `this.gameState` for that move.
+   * Internal helper: give UndoManager the undo limit of the deal's scoring
+   * mode (see KlondikeScoring; null = no limit).
    */
-  captureUndoSnapshot() {
+  applyUndoLimit() {
     const undoManager = this.getUndoManager();
-    if (!undoManager || typeof undoManager.pushSnapshot !== 'function') {
+    if (!undoManager || typeof undoManager.setUndoLimit !== 'function' || !this.gameState) {
+      return;
+    }
+    const scoring = this.getScoring();
+    const mode = scoring ? scoring.getMode(this.gameState.scoringMode) : null;
+    undoManager.setUndoLimit(mode && mode.undoLimit !== undefined ? mode.undoLimit : null);
+  }
+
+  /**
+   * Internal helper: get a reference to the shared SoundManager, if
+   * available. Without it the game is simply silent.
+   */
+  getSoundManager() {
+    if (this.viewOnly || typeof window === 'undefined' || !window.SoundManager) {
+      return null;
+    }
+    return window.SoundManager;
+  }
+
+  /**
+   * Sound effects bundled with the game, by name
+   */
+  static get SOUND_FILES() {
+    const base = '/games/klondike3/sounds';
+    return {
+      pickup: `${base}/pickup.wav`,
+      place: `${base}/place.wav`,
+      flip: `${base}/flip.wav`,
+      draw: `${base}/draw.wav`,
+      recycle: `${base}/recycle.wav`,
+      invalid: `${base}/invalid.wav`,
+      hint: `${base}/hint.wav`,
+      win: `${base}/win.wav`
+    };
+  }
+
+  /**
+   * Internal helper: play one of the SOUND_FILES effects, if sound is on
+   */
+  playSound(name) {
+    const soundManager = this.getSoundManager();
+    if (!this.soundEnabled || !soundManager) {
       return;
     }
-    // We rely on UndoManager to deep-clone this object so future mutations
-    // do not affect history.
-    undoManager.pushSnapshot(this.gameState);
+    soundManager.play(name);
+  }
+
+  /**
+   * Internal helper: get a reference to the shared KlondikeScoring module,
+   * if available. Without it moves simply do not change the score.
+   */
+  getScoring() {
+    if (typeof window === 'undefined' || !window.KlondikeScoring) {
+      return null;
+    }
+    return window.KlondikeScoring;
+  }
+
+  /**
+   * Score to show the player. In cumulative Vegas this is the running
+   * bankroll; otherwise it is the score of the current deal.
+   */
+  getReportedScore() {
+    const scoring = this.getScoring();
+    if (scoring && scoring.getMode(this.gameState.scoringMode).cumulative) {
+      return this.gameState.bankrollBase + this.gameState.score;
+    }
+    return this.gameState.score;
+  }
+
+  /**
+   * Internal helper: persist the cumulative Vegas bankroll after any score
+   * change (including Undo, which can give money back).
+   */
+  saveBankroll() {
+    const scoring = this.getScoring();
+    if (!this.viewOnly && scoring && scoring.getMode(this.gameState.scoringMode).cumulative) {
+      scoring.setBankroll(this.getReportedScore());
+    }
+  }
+
+  /**
+   * Internal helper: report the current counters to the shell via onMove.
+   */
+  notifyMove() {
+    this.saveBankroll();
+    if (this.callbacks && typeof this.callbacks.onMove === 'function') {
+      this.callbacks.onMove({
+        moves: this.gameState.moveCount,
+        score: this.getReportedScore(),
+        scoringMode: this.gameState.scoringMode,
+        stockCount: this.gameState.stock.length
+      });
+    }
   }
 
   /**
    * Initialize the game inside the provided root element
    * @param {HTMLElement} rootElement - Container element from GameCanvas
    * @param {Object} callbacks - Shell callbacks { onFirstMove, onMove, onWin, onReset }
+   * @param {Object} dealOptions - Options for the first deal, see startNewDeal.
+   *   `dealOptions.savedState` (from serializeState) resumes a saved deal instead;
+   *   if it cannot be loaded, a new deal is started.
    */
-  mount(rootElement, callbacks) {
+  mount(rootElement, callbacks, dealOptions = {}) {
     this.rootElement = rootElement;
     this.callbacks = callbacks;
     
     // Clear any existing content
     rootElement.innerHTML = '';
+
+    // Sounds are downloaded on the first click, tap or key press
+    const soundManager = this.getSoundManager();
+    if (soundManager) {
+      soundManager.setEnabled(this.soundEnabled);
+      soundManager.setVolume(this.soundVolume);
+      soundManager.registerSounds(Klondike3Engine.SOUND_FILES);
+      soundManager.preloadOnFirstGesture();
+    }
     
     // Initialize game state
     this.initializeGameState();
@@ -176,22 +609,143 @@ class Klondike3Engine {
     // Create DOM structure
     this.createGameDOM();
     
-    // Start a new deal
-    this.startNewDeal();
+    // Resume the saved deal if there is one, otherwise start a new deal
+    if (!dealOptions.savedState || !this.loadState(dealOptions.savedState)) {
+      this.startNewDeal(dealOptions);
+    }
+  }
+
+  /**
+   * Public API: capture everything needed to resume the current deal later.
+   *
+   * The result is plain JSON-safe data: the full gameState, the deal seed
+   * and layout, whether the first move was made, the seconds since the
+   * first move, the move history, which doubles as the Undo history, the
+   * undos used so far and whether the deal was reported stuck. The shell
+   * decides where to store it.
+   */
+  serializeState() {
+    if (!this.gameState) {
+      return null;
+    }
+
+    const undoManager = this.getUndoManager();
+    const undoState = undoManager && typeof undoManager.getState === 'function'
+      ? undoManager.getState()
+      : null;
+
+    return {
+      version: 1,
+      seed: this.currentSeed,
+      layout: this.currentLayout,
+      gameState: JSON.parse(JSON.stringify(this.gameState)),
+      firstMoveDone: this.firstMoveDone,
+      elapsedSeconds: this.firstMoveTimestamp
+        ? Math.floor((Date.now() - this.firstMoveTimestamp) / 1000)
+        : 0,
+      moveHistory: this.moveHistory.map(entry => ({ ...entry })),
+      undosUsed: undoState ? undoState.undosUsed : 0,
+      lossReported: this.lossReported
+    };
+  }
+
+  /**
+   * Public API: restore a deal captured by serializeState.
+   *
+   * Re-renders the board and reports the restored counters through onMove.
+   * onReset is not called, because this is not a new deal.
+   *
+   * Returns true if the state was loaded, false if it was not usable (the
+   * current deal is then left untouched).
+   */
+  loadState(state) {
+    if (!this.isValidSavedState(state)) {
+      console.warn('🎮 Engine: Saved state is not usable, ignoring it');
+      return false;
+    }
+
+    // The saved deal replaces any deal still being searched for
+    this.dealRequestId++;
+    this.cancelDealSearch();
+    this.cancelAutoplay();
+    this.inputQueue = [];
+    this.lossCheckPending = false;
+    // A deal saved while stuck is not reported stuck again
+    this.lossReported = state.lossReported === true;
+    this.clearHintHighlight();
+    this.currentHint = null;
+    this.keyboardSelection = null;
+    this.revealedCardIds.clear();
+    this.clearRenderedElements();
+    this.winTimeBonus = 0;
+    this.moveHistory = state.moveHistory.map(entry => ({ ...entry }));
+
+    this.gameState = JSON.parse(JSON.stringify(state.gameState));
+
+    this.currentSeed = Klondike3Engine.isValidSeed(state.seed) ? state.seed : null;
+    this.currentLayout = state.layout || null;
+    this.firstMoveDone = !!state.firstMoveDone;
+    this.firstMoveTimestamp = this.firstMoveDone
+      ? Date.now() - (state.elapsedSeconds || 0) * 1000
+      : null;
+
+    // The move history is the Undo history
+    this.applyUndoLimit();
+    const undoManager = this.getUndoManager();
+    if (undoManager && typeof undoManager.importHistory === 'function') {
+      undoManager.importHistory(this.moveHistory, { undosUsed: state.undosUsed, commands: true });
+    } else if (undoManager && typeof undoManager.reset === 'function') {
+      undoManager.reset();
+    }
+
+    this.updateDisplay();
+    this.notifyMove();
+    return true;
+  }
+
+  /**
+   * Internal helper: sanity-check a saved state before loading it. It must
+   * hold all 52 cards exactly once across stock, waste, foundations and
+   * tableau.
+   */
+  isValidSavedState(state) {
+    if (!state || state.version !== 1 || !state.gameState || !Array.isArray(state.moveHistory)) {
+      return false;
+    }
+
+    const { stock, waste, foundations, tableau } = state.gameState;
+    if (!Array.isArray(stock) || !Array.isArray(waste) ||
+        !Array.isArray(foundations) || foundations.length !== 4 ||
+        !Array.isArray(tableau) || tableau.length !== 7) {
+      return false;
+    }
+
+    const piles = [stock, waste, ...foundations, ...tableau];
+    if (!piles.every(Array.isArray)) {
+      return false;
+    }
+
+    const ids = new Set();
+    for (const pile of piles) {
+      for (const card of pile) {
+        if (!card || typeof card.id !== 'string') {
+          return false;
+        }
+        ids.add(card.id);
+      }
+    }
+    const totalCards = piles.reduce((sum, pile) => sum + pile.length, 0);
+    return ids.size === 52 && totalCards === 52;
   }
 
   /**
    * Initialize empty game state structure
    */
   initializeGameState() {
-    this.gameState = {
-      stock: [],
-      waste: [],
-      foundations: [[], [], [], []], // Hearts, Diamonds, Clubs, Spades
-      tableau: [[], [], [], [], [], [], []], // 7 columns
-      moveCount: 0,
-      score: 0
-    };
+    this.gameState = KlondikeRules.createEmptyState({
+      rules: this.rules,
+      scoringMode: this.scoringMode
+    });
     this.firstMoveDone = false;
     this.firstMoveTimestamp = null;
     // Reset any active hint when a fresh state is created.
@@ -206,48 +760,63 @@ class Klondike3Engine {
     gameRoot.className = 'klondike-root';
     
     gameRoot.innerHTML = `
-      <div class="klondike-game-area">
+      <div class="klondike-game-area" role="group" aria-label="Klondike board">
         <!-- Top row: Stock/Waste and Foundations -->
         <div class="klondike-top-row">
           <div class="klondike-stock-waste">
-            <div class="klondike-stock-pile" id="stock-pile">
-              <div class="klondike-card-placeholder">Stock</div>
+            <div class="klondike-stock-pile" data-pile-id="stock-pile" tabindex="0" role="listbox" aria-label="Stock">
+              <div class="klondike-card-placeholder" aria-hidden="true">Stock</div>
             </div>
-            <div class="klondike-waste-pile" id="waste-pile">
-              <div class="klondike-card-placeholder">Waste</div>
+            <div class="klondike-waste-pile" data-pile-id="waste-pile" tabindex="0" role="listbox" aria-label="Waste">
+              <div class="klondike-card-placeholder" aria-hidden="true">Waste</div>
             </div>
           </div>
           
           <div class="klondike-foundations">
-            <div class="klondike-foundation" id="foundation-0" data-suit="0">
-              <div class="klondike-card-placeholder">♥</div>
+            <div class="klondike-foundation" data-pile-id="foundation-0" data-suit="0" tabindex="0" role="listbox">
+              <div class="klondike-card-placeholder" aria-hidden="true">♥</div>
             </div>
-            <div class="klondike-foundation" id="foundation-1" data-suit="1">
-              <div class="klondike-card-placeholder">♦</div>
+            <div class="klondike-foundation" data-pile-id="foundation-1" data-suit="1" tabindex="0" role="listbox">
+              <div class="klondike-card-placeholder" aria-hidden="true">♦</div>
             </div>
-            <div class="klondike-foundation" id="foundation-2" data-suit="2">
-              <div class="klondike-card-placeholder">♣</div>
+            <div class="klondike-foundation" data-pile-id="foundation-2" data-suit="2" tabindex="0" role="listbox">
+              <div class="klondike-card-placeholder" aria-hidden="true">♣</div>
             </div>
-            <div class="klondike-foundation" id="foundation-3" data-suit="3">
-              <div class="klondike-card-placeholder">♠</div>
+            <div class="klondike-foundation" data-pile-id="foundation-3" data-suit="3" tabindex="0" role="listbox">
+              <div class="klondike-card-placeholder" aria-hidden="true">♠</div>
             </div>
           </div>
         </div>
         
         <!-- Bottom row: Tableau -->
         <div class="klondike-tableau">
-          <div class="klondike-tableau-column" id="tableau-0"></div>
-          <div class="klondike-tableau-column" id="tableau-1"></div>
-          <div class="klondike-tableau-column" id="tableau-2"></div>
-          <div class="klondike-tableau-column" id="tableau-3"></div>
-          <div class="klondike-tableau-column" id="tableau-4"></div>
-          <div class="klondike-tableau-column" id="tableau-5"></div>
-          <div class="klondike-tableau-column" id="tableau-6"></div>
+          <div class="klondike-tableau-column" data-pile-id="tableau-0" tabindex="0" role="listbox"></div>
+          <div class="klondike-tableau-column" data-pile-id="tableau-1" tabindex="0" role="listbox"></div>
+          <div class="klondike-tableau-column" data-pile-id="tableau-2" tabindex="0" role="listbox"></div>
+          <div class="klondike-tableau-column" data-pile-id="tableau-3" tabindex="0" role="listbox"></div>
+          <div class="klondike-tableau-column" data-pile-id="tableau-4" tabindex="0" role="listbox"></div>
+          <div class="klondike-tableau-column" data-pile-id="tableau-5" tabindex="0" role="listbox"></div>
+          <div class="klondike-tableau-column" data-pile-id="tableau-6" tabindex="0" role="listbox"></div>
         </div>
       </div>
+
+      <!-- Shown while a winnable deal is being searched for -->
+      <div class="klondike-deal-search" hidden>Finding a winnable deal…</div>
+
+      <!-- Shown briefly when a hint is requested but no move exists -->
+      <div class="klondike-hint-message" hidden></div>
+
+      <!-- Screen reader announcements for moves, hints and wins -->
+      <div class="klondike-visually-hidden klondike-announcer" role="status" aria-live="polite"></div>
     `;
 
     this.rootElement.appendChild(gameRoot);
+
+    // A view-only board cannot be focused, clicked or dragged
+    if (this.viewOnly) {
+      gameRoot.inert = true;
+      return;
+    }
     this.attachEventListeners();
   }
 
@@ -255,7 +824,7 @@ class Klondike3Engine {
    * Attach event listeners for game interactions
    */
   attachEventListeners() {
-    const stockPile = this.rootElement.querySelector('#stock-pile');
+    const stockPile = this.getPileElement('stock-pile');
     
     if (!stockPile) {
       console.error('Stock pile not found!');
@@ -267,9 +836,8 @@ class Klondike3Engine {
       console.log('Stock pile clicked!');
       e.preventDefault();
       e.stopPropagation();
-      // Ignore clicks during animations
-      if (this.isAnimating) return;
-      this.handleStockClick();
+      // Clicks during animations wait for them
+      this.queueInput(() => this.handleStockClick());
     };
     
     stockPile.addEventListener('click', stockClickHandler);
@@ -283,158 +851,212 @@ class Klondike3Engine {
     stockPile.addEventListener('mouseup', () => {
       stockPile.style.transform = 'scale(1)';
     });
+
+    // A long press on a card must pick it up, not open the context menu
+    const contextMenuHandler = (e) => {
+      if (this.pointerPress) {
+        e.preventDefault();
+      }
+    };
+    this.rootElement.addEventListener('contextmenu', contextMenuHandler);
+    this.eventListeners.push({ element: this.rootElement, event: 'contextmenu', handler: contextMenuHandler });
+
+    // Keyboard play: arrows move the cursor, Enter/Space pick up and drop
+    const gameRoot = this.rootElement.querySelector('.klondike-root');
+    if (gameRoot) {
+      const keyDownHandler = (e) => this.handleBoardKeyDown(e);
+      const focusInHandler = (e) => {
+        // Tab (or a click) focused a pile: move the cursor there
+        const pileId = e.target && e.target.dataset && e.target.dataset.pileId;
+        if (this.isKeyboardPileId(pileId) && pileId !== this.keyboardCursor.pileId) {
+          this.keyboardCursor = { pileId, cardIndex: null };
+          this.applyKeyboardCursor();
+        }
+      };
+      gameRoot.addEventListener('keydown', keyDownHandler);
+      gameRoot.addEventListener('focusin', focusInHandler);
+      this.eventListeners.push({ element: gameRoot, event: 'keydown', handler: keyDownHandler });
+      this.eventListeners.push({ element: gameRoot, event: 'focusin', handler: focusInHandler });
+    }
     
     console.log('Stock pile click listener attached');
 
-    // Add drag and drop handlers for cards (will be added when cards are created)
+    // Cards are created and moved by the renderer, so their events are
+    // delegated here instead of being bound to each card
     this.attachCardEventListeners();
+    this.attachDropZoneListeners();
   }
 
   /**
-   * Attach event listeners to cards for drag and drop
+   * Attach the delegated card listeners (click, HTML5 drag, touch/pen
+   * drag) to the board root. Stock clicks never get here: the stock pile
+   * handles them and stops them.
    */
   attachCardEventListeners() {
-    const cards = this.rootElement.querySelectorAll('.klondike-card');
-    
-    cards.forEach(card => {
-      if (!card.dataset.hasListeners) {
-        // Skip attaching generic listeners to the stock pile card.
-        // Stock interaction is handled by the #stock-pile click listener.
-        const parentPile = card.parentElement;
-        if (parentPile && parentPile.id === 'stock-pile') {
-          card.dataset.hasListeners = 'true';
-          return;
+    const gameRoot = this.rootElement.querySelector('.klondike-root');
+    if (!gameRoot) return;
+
+    const clickHandler = (e) => {
+      const card = this.getEventCard(e);
+      if (!card) return;
+      e.preventDefault();
+      e.stopPropagation();
+      // A touch drag that just ended is not a tap
+      if (Date.now() - this.pointerDragEndedAt < 400) return;
+      // Clicks during animations wait for them
+      const cardId = card.dataset.cardId;
+      const location = card.dataset.location;
+      this.queueInput(() => {
+        const cardElement = this.resolveQueuedCard(cardId, location);
+        if (cardElement) {
+          this.handleCardElementClick(cardElement);
         }
-        // Single click handler
-        const clickHandler = (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          // Ignore clicks during animations
-          if (this.isAnimating) return;
-          const location = card.dataset.location;
+      });
+    };
 
-          // Waste has its own behaviour: foundation first, then first valid tableau from left
-          if (location === 'waste') {
-            this.handleWasteClick();
-            return;
-          }
+    // Drag start handler
+    const dragStartHandler = (e) => {
+      const card = this.getEventCard(e);
+      if (!card || !card.draggable) return;
+      // Ignore native drags started by a touch press that the pointer drag
+      // already handles
+      if (this.pointerPress) {
+        e.preventDefault();
+        return;
+      }
+      // The card may have been moving: drag it from where it landed
+      this.finishAnimationsForDrag();
+      if (!card.isConnected || !card.draggable) {
+        e.preventDefault();
+        return;
+      }
+      this.handleDragStart(e, card);
+    };
 
-          // Tableau-specific behaviour
-          if (location && location.startsWith('tableau-')) {
-            // If this is a tableau card and it is face down, do nothing on click
-            if (!card.classList.contains('is-face-up')) {
-              return;
-            }
+    // Drag end handler - always clean up dragging state, even on invalid drops
+    const dragEndHandler = (e) => {
+      const card = this.getEventCard(e);
+      if (card && this.dragData && this.dragData.element === card) {
+        this.cleanupDragVisuals(false);
+      }
+    };
 
-            const colIndex = parseInt(location.split('-')[1]);
-            const column = this.gameState && this.gameState.tableau
-              ? this.gameState.tableau[colIndex]
-              : null;
+    // Touch and pen screens never fire HTML5 drag events, so they drag
+    // through pointer events instead (mouse keeps the above)
+    const pointerDownHandler = (e) => {
+      const card = this.getEventCard(e);
+      if (card && card.draggable) {
+        this.handlePointerDown(e, card);
+      }
+    };
 
-            if (!column || column.length === 0) {
-              return;
-            }
+    gameRoot.addEventListener('click', clickHandler);
+    gameRoot.addEventListener('dragstart', dragStartHandler);
+    gameRoot.addEventListener('dragend', dragEndHandler);
+    gameRoot.addEventListener('pointerdown', pointerDownHandler);
+    this.eventListeners.push(
+      { element: gameRoot, event: 'click', handler: clickHandler },
+      { element: gameRoot, event: 'dragstart', handler: dragStartHandler },
+      { element: gameRoot, event: 'dragend', handler: dragEndHandler },
+      { element: gameRoot, event: 'pointerdown', handler: pointerDownHandler }
+    );
+  }
 
-            const cardId = card.dataset.cardId;
-            const cardIndex = column.findIndex(c => c.id === cardId);
+  /**
+   * Internal helper: the card element a delegated event happened on, or
+   * null (stock cards and other elements are not played by themselves)
+   */
+  getEventCard(e) {
+    const card = e.target && e.target.closest ? e.target.closest('.klondike-card') : null;
+    if (!card || !card.dataset.cardId || card.dataset.location === 'floating') {
+      return null;
+    }
+    return card;
+  }
 
-            // If we cannot resolve the card index safely, fall back to old behaviour:
-            // select card and try bottom-card auto-move.
-            if (cardIndex === -1) {
-              this.handleCardClick(card);
-              this.tryMoveTableauToFoundation(colIndex);
-              return;
-            }
+  /**
+   * Single click (or tap) on a card
+   */
+  handleCardElementClick(card) {
+    const location = card.dataset.location;
 
-            // If this is the bottom card in the column, use the standard auto behaviour:
-            // 1) Try foundation, 2) then auto tableau move for that single card.
-            if (cardIndex === column.length - 1) {
-              this.handleCardClick(card);
-              this.tryMoveTableauToFoundation(colIndex);
-              return;
-            }
+    // Waste has its own behaviour: foundation first, then first valid tableau from left
+    if (location === 'waste') {
+      this.handleWasteClick();
+      return;
+    }
 
-            // Mid-stack card: this card + all below it are the stack head.
-            // If draggable, auto-move the stack to the first valid tableau column from the left.
-            if (this.isCardDraggable(card)) {
-              // Visual selection to show which stack is in focus
-              this.handleCardClick(card);
-
-              const stack = column.slice(cardIndex);
-              const fromLocation = `tableau-${colIndex}`;
-
-              for (let targetCol = 0; targetCol < this.gameState.tableau.length; targetCol++) {
-                if (targetCol === colIndex) continue; // do not move into the same column
-
-                if (this.canMoveToTableau(stack, targetCol)) {
-                  const moved = this.moveCardsToTableau(fromLocation, targetCol, stack);
-                  if (moved) {
-                    // Animate the card movement before updating display
-                    const tableauCard = this.rootElement.querySelector(
-                      `.klondike-card[data-location="tableau-${colIndex}"][data-card-id="${card.id}"]`
-                    );
-                    const targetElement = this.rootElement.querySelector(`#tableau-${targetCol}`);
-                    
-                    this.animateCardMovement(tableauCard, targetElement).then(() => {
-                      this.updateDisplay(0);
-                    });
-                  }
-                  return;
-                }
-              }
-
-              // No valid tableau target for this stack: do nothing further.
-              return;
-            }
+    // Tableau-specific behaviour
+    if (location && location.startsWith('tableau-')) {
+      // If this is a tableau card and it is face down, do nothing on click
+      if (!card.classList.contains('is-face-up')) {
+        return;
+      }
 
-            // Not draggable for some reason: just update selection and do nothing else.
-            this.handleCardClick(card);
-            return;
-          }
+      const colIndex = parseInt(location.split('-')[1]);
+      const column = this.gameState && this.gameState.tableau
+        ? this.gameState.tableau[colIndex]
+        : null;
 
-          // For non-waste, non-tableau locations (e.g. foundation), keep generic selection only.
-          this.handleCardClick(card);
-        };
-        
-        // Drag start handler
-        const dragStartHandler = (e) => {
-          // Ignore drags during animations
-          if (this.isAnimating) {
-            e.preventDefault();
-            return;
-          }
-          this.handleDragStart(e, card);
-        };
-        
-        // Drag end handler - always clean up dragging state
-        const dragEndHandler = () => {
-          // Clean up drag visuals on unsuccessful drops
-          if (this.dragData && this.dragData.element === card) {
-            this.cleanupDragVisuals(false);
-          }
-        };
+      if (!column || column.length === 0) {
+        return;
+      }
 
-        // Make card draggable if it's face up and not in foundation (or top foundation card)
-        const location = card.dataset.location;
-        const isFaceUp = card.classList.contains('is-face-up');
-        
-        if (isFaceUp && this.isCardDraggable(card)) {
-          card.draggable = true;
-          card.addEventListener('dragstart', dragStartHandler);
-          
-          // Ensure dragging state is always cleaned up, even on invalid drops
-          card.addEventListener('dragend', dragEndHandler);
+      const cardId = card.dataset.cardId;
+      const cardIndex = column.findIndex(c => c.id === cardId);
+
+      // If we cannot resolve the card index safely, fall back to old behaviour:
+      // select card and try bottom-card auto-move.
+      if (cardIndex === -1) {
+        this.handleCardClick(card);
+        this.tryMoveTableauToFoundation(colIndex);
+        return;
+      }
+
+      // If this is the bottom card in the column, use the standard auto behaviour:
+      // 1) Try foundation, 2) then auto tableau move for that single card.
+      if (cardIndex === column.length - 1) {
+        this.handleCardClick(card);
+        this.tryMoveTableauToFoundation(colIndex);
+        return;
+      }
+
+      // Mid-stack card: this card + all below it are the stack head.
+      // If draggable, auto-move the stack to the first valid tableau column from the left.
+      if (this.isCardDraggable(card)) {
+        // Visual selection to show which stack is in focus
+        this.handleCardClick(card);
+
+        const stack = column.slice(cardIndex);
+        const fromLocation = `tableau-${colIndex}`;
+
+        for (let targetCol = 0; targetCol < this.gameState.tableau.length; targetCol++) {
+          if (targetCol === colIndex) continue; // do not move into the same column
+
+          if (this.canMoveToTableau(stack, targetCol)) {
+            const moved = this.moveCardsToTableau(fromLocation, targetCol, stack);
+            if (moved) {
+              // Animate the card movement before updating display
+              const targetElement = this.getPileElement(`tableau-${targetCol}`);
+              this.animateCardMovement(card, targetElement).then(() => {
+                this.updateDisplay(0);
+              });
+            }
+            return;
+          }
         }
-        
-        // Always attach single-click (rely on DOM teardown for cleanup)
-        card.addEventListener('click', clickHandler);
-        
-        card.dataset.hasListeners = 'true';
+
+        // No valid tableau target for this stack: do nothing further.
+        return;
       }
-    });
-    
-    // Attach drop zone listeners to piles
-    this.attachDropZoneListeners();
+
+      // Not draggable for some reason: just update selection and do nothing else.
+      this.handleCardClick(card);
+      return;
+    }
+
+    // For non-waste, non-tableau locations (e.g. foundation), keep generic selection only.
+    this.handleCardClick(card);
   }
 
   /**
@@ -470,24 +1092,23 @@ class Klondike3Engine {
   }
 
   /**
-   * Attach drop zone listeners for drag and drop
+   * Attach drop zone listeners for drag and drop. The piles live as long
+   * as the board, so this runs once.
    */
   attachDropZoneListeners() {
     // Tableau columns as drop zones
     for (let i = 0; i < 7; i++) {
-      const column = this.rootElement.querySelector(`#tableau-${i}`);
-      if (column && !column.dataset.hasDropListeners) {
+      const column = this.getPileElement(`tableau-${i}`);
+      if (column) {
         this.attachDropListeners(column, `tableau-${i}`);
-        column.dataset.hasDropListeners = 'true';
       }
     }
     
     // Foundation piles as drop zones
     for (let i = 0; i < 4; i++) {
-      const foundation = this.rootElement.querySelector(`#foundation-${i}`);
-      if (foundation && !foundation.dataset.hasDropListeners) {
+      const foundation = this.getPileElement(`foundation-${i}`);
+      if (foundation) {
         this.attachDropListeners(foundation, `foundation-${i}`);
-        foundation.dataset.hasDropListeners = 'true';
       }
     }
   }
@@ -508,8 +1129,7 @@ class Klondike3Engine {
     const dropHandler = (e) => {
       e.preventDefault();
       element.classList.remove('drag-over');
-      // Ignore drops during animations
-      if (this.isAnimating) return;
+      this.finishAnimationsForDrag();
       this.handleDrop(e, dropZoneId);
     };
     
@@ -524,8 +1144,24 @@ class Klondike3Engine {
 
   /**
    * Start a new deal - reset and shuffle cards
+   * @param {Object} options
+   * @param {number} options.seed - Deal number to replay; a random one is
+   *   picked when omitted or not a positive integer. With "winnable deals
+   *   only" on, the random deal is found by the solver first, so the deal
+   *   arrives asynchronously (onReset fires once it is dealt).
+   * @param {Object} options.layout - Deal this layout (see
+   *   KlondikeRules.getLayout) instead of shuffling; `seed` is then only
+   *   reported, and may be omitted
+   * @param {Object} options.rules - Rules for this deal only, instead of the
+   *   `rules` option (imported games keep their own rules)
+   * @param {boolean} options.restart - The deal is the current one played
+   *   again (see restartDeal); passed on to onReset
    */
-  startNewDeal() {
+  startNewDeal(options = {}) {
+    // A new deal supersedes any winnable-deal search still running
+    const requestId = ++this.dealRequestId;
+    this.cancelDealSearch();
+
     // Reset Undo history for this new deal so old moves from the previous
     // game do not leak into the new one.
     const undoManager = this.getUndoManager();
@@ -537,133 +1173,491 @@ class Klondike3Engine {
     this.currentHint = null;
     // Clear any revealed cards from previous game
     this.revealedCardIds.clear();
+    this.clearRenderedElements();
+    this.moveHistory = [];
+    this.winTimeBonus = 0;
+    this.keyboardSelection = null;
+    // Stop any autoplay chain, queued input or stuck check left over from
+    // the previous deal
+    this.cancelAutoplay();
+    this.inputQueue = [];
+    this.lossCheckPending = false;
+    this.lossReported = false;
+
+    // Winnable deals only: show an empty table while the solver looks for a
+    // deal, then deal the seed it found
+    if (this.winnableOnly && !options.layout && !Klondike3Engine.isValidSeed(options.seed) && this.getSolverWorker()) {
+      this.initializeGameState();
+      this.updateDisplay();
+      this.setFindingDeal(true);
+      this.findWinnableSeed().then(seed => {
+        if (requestId !== this.dealRequestId || !this.rootElement) {
+          return; // Superseded by another deal, or the engine was destroyed
+        }
+        if (!seed) {
+          console.warn('🎮 Engine: No winnable deal found in time, dealing a random one');
+        }
+        // The search is over; keep the worker for the next one
+        this.setFindingDeal(false);
+        this.startNewDeal({ ...options, seed: seed || Klondike3Engine.generateSeed() });
+      });
+      return;
+    }
 
-    // Reset game state
-    this.gameState = {
-      stock: [],
-      waste: [],
-      foundations: [[], [], [], []], // Hearts, Diamonds, Clubs, Spades
-      tableau: [[], [], [], [], [], [], []], // 7 columns
-      moveCount: 0,
-      score: 0
+    // Shuffle and deal from the deal's seed, or lay out the given layout.
+    // The initial score is 0 in standard, the buy-in in Vegas modes.
+    const dealOptions = {
+      rules: options.rules || this.rules,
+      scoringMode: this.scoringMode
     };
+    if (options.layout) {
+      this.currentSeed = Klondike3Engine.isValidSeed(options.seed) ? options.seed : null;
+      this.currentLayout = options.layout;
+      this.gameState = KlondikeRules.dealLayout(options.layout, dealOptions);
+    } else {
+      this.currentSeed = Klondike3Engine.isValidSeed(options.seed)
+        ? options.seed
+        : Klondike3Engine.generateSeed();
+      this.gameState = KlondikeRules.deal(this.currentSeed, dealOptions);
+      this.currentLayout = KlondikeRules.getLayout(this.gameState);
+    }
+
+    const scoring = this.getScoring();
+    if (scoring && scoring.getMode(this.scoringMode).cumulative) {
+      this.gameState.bankrollBase = scoring.getBankroll();
+      this.saveBankroll();
+    }
+    this.applyUndoLimit();
     
     this.firstMoveDone = false;
     this.firstMoveTimestamp = null;
     // New deal means any previous hint is no longer relevant.
     this.currentHint = null;
 
-    // Create and shuffle deck
-    const deck = this.createDeck();
-    this.shuffleDeck(deck);
-
-    // Deal tableau (standard Klondike layout)
-    this.dealTableau(deck);
-
-    // Remaining cards go to stock
-    this.gameState.stock = deck;
-
     // Update DOM
     this.updateDisplay();
 
     // Notify shell of reset
     if (this.callbacks && this.callbacks.onReset) {
-      this.callbacks.onReset();
+      this.callbacks.onReset({
+        seed: this.currentSeed,
+        score: this.getReportedScore(),
+        scoringMode: this.gameState.scoringMode,
+        restart: !!options.restart
+      });
     }
   }
 
   /**
-   * Create a standard 52-card deck
+   * Public API: play the current deal again from the start. The same cards
+   * are dealt under the same rules; undo history, score and moves are reset
+   * as for any new deal. Deals a random one if the current deal cannot be
+   * rebuilt (a game saved before layouts were kept, without a deal number).
    */
-  createDeck() {
-    const suits = [0, 1, 2, 3]; // Hearts, Diamonds, Clubs, Spades
-    const ranks = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]; // Ace to King
-    const deck = [];
-
-    for (const suit of suits) {
-      for (const rank of ranks) {
-        deck.push({
-          suit: suit,
-          rank: rank,
-          faceUp: false,
-          id: `card-${suit}-${rank}`
-        });
-      }
+  restartDeal() {
+    // Still looking for a winnable deal: there is nothing to restart yet
+    if (this.isFindingDeal) {
+      return;
+    }
+    if (!this.gameState || (!this.currentLayout && !Klondike3Engine.isValidSeed(this.currentSeed))) {
+      this.startNewDeal();
+      return;
     }
+    this.startNewDeal({
+      seed: this.currentSeed,
+      layout: this.currentLayout,
+      rules: this.gameState.rules,
+      restart: true
+    });
+  }
+
+  /**
+   * Largest deal number handed out by generateSeed. Any positive 32-bit
+   * integer is a valid seed, but random deals stay short enough to read out.
+   */
+  static get MAX_RANDOM_SEED() {
+    return 999999;
+  }
+
+  /**
+   * Check whether a value can be used as a deal seed
+   */
+  static isValidSeed(seed) {
+    return Number.isInteger(seed) && seed > 0 && seed <= 0xFFFFFFFF;
+  }
 
-    return deck;
+  /**
+   * Pick a random deal number
+   */
+  static generateSeed() {
+    return 1 + Math.floor(Math.random() * Klondike3Engine.MAX_RANDOM_SEED);
   }
 
   /**
-   * Shuffle deck using Fisher-Yates algorithm
+   * Solver worker script, and the time it may spend: per shuffle, and in
+   * total before giving up and dealing an unchecked random deal. A worker
+   * that has not replied WINNABLE_SEARCH_MARGIN_MS after that is taken to be
+   * broken (e.g. its scripts did not load).
    */
-  shuffleDeck(deck) {
-    for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [deck[i], deck[j]] = [deck[j], deck[i]];
+  static get SOLVER_WORKER_URL() {
+    return '/games/klondike3/klondikeSolverWorker.js';
+  }
+
+  static get WINNABLE_ATTEMPT_MS() {
+    return 1000;
+  }
+
+  static get WINNABLE_SEARCH_MS() {
+    return 10000;
+  }
+
+  static get WINNABLE_SEARCH_MARGIN_MS() {
+    return 2000;
+  }
+
+  /**
+   * Internal helper: get the solver Web Worker, starting it on first use.
+   * Returns null where workers are not available.
+   */
+  getSolverWorker() {
+    if (this.solverWorker) {
+      return this.solverWorker;
+    }
+    if (typeof Worker === 'undefined') {
+      return null;
     }
+    try {
+      this.solverWorker = new Worker(Klondike3Engine.SOLVER_WORKER_URL);
+    } catch (e) {
+      console.warn('🎮 Engine: Solver worker could not be started', e);
+      this.solverWorker = null;
+    }
+    return this.solverWorker;
   }
 
   /**
-   * Deal cards to tableau in standard Klondike pattern
+   * Ask the solver worker for a random seed it can win with the current
+   * rules. Resolves with the seed, or null if none was found in time or the
+   * worker failed. A failed or silent worker is dropped, so the next search
+   * starts a new one.
    */
-  dealTableau(deck) {
-    // Deal tableau: column 0 gets 1 card, column 1 gets 2 cards, etc.
-    for (let col = 0; col < 7; col++) {
-      for (let row = 0; row <= col; row++) {
-        const card = deck.pop();
-        if (row === col) {
-          card.faceUp = true; // Top card is face up
+  findWinnableSeed() {
+    const worker = this.getSolverWorker();
+    if (!worker) {
+      return Promise.resolve(null);
+    }
+
+    const id = this.dealRequestId;
+    return new Promise(resolve => {
+      let timeoutTimer = null;
+      const finish = (seed) => {
+        clearTimeout(timeoutTimer);
+        worker.removeEventListener('message', onMessage);
+        worker.removeEventListener('error', onError);
+        resolve(seed);
+      };
+      const dropWorker = () => {
+        worker.terminate();
+        if (this.solverWorker === worker) {
+          this.solverWorker = null;
         }
-        this.gameState.tableau[col].push(card);
-      }
+      };
+      const onMessage = (e) => {
+        if (e.data && e.data.id === id) {
+          console.log(`🎮 Engine: Winnable deal search tried ${e.data.attempts} deal(s)`);
+          finish(e.data.seed || null);
+        }
+      };
+      const onError = (e) => {
+        // A worker whose scripts failed to load never replies
+        console.warn('🎮 Engine: Solver worker failed', e);
+        dropWorker();
+        finish(null);
+      };
+
+      worker.addEventListener('message', onMessage);
+      worker.addEventListener('error', onError);
+      timeoutTimer = setTimeout(() => {
+        console.warn('🎮 Engine: Solver worker did not reply in time');
+        dropWorker();
+        finish(null);
+      }, Klondike3Engine.WINNABLE_SEARCH_MS + Klondike3Engine.WINNABLE_SEARCH_MARGIN_MS);
+      worker.postMessage({
+        id,
+        type: 'find-winnable-deal',
+        rules: { ...this.rules },
+        maxSeed: Klondike3Engine.MAX_RANDOM_SEED,
+        attemptBudgetMs: Klondike3Engine.WINNABLE_ATTEMPT_MS,
+        totalBudgetMs: Klondike3Engine.WINNABLE_SEARCH_MS
+      });
+    });
+  }
+
+  /**
+   * Internal helper: stop a winnable-deal search in progress. The worker is
+   * busy until its search ends, so it is replaced rather than waited for.
+   */
+  cancelDealSearch() {
+    if (!this.isFindingDeal) {
+      return;
+    }
+    if (this.solverWorker) {
+      this.solverWorker.terminate();
+      this.solverWorker = null;
     }
+    this.setFindingDeal(false);
   }
 
   /**
-   * Handle stock pile click (draw 3 cards)
+   * Internal helper: show or hide the "Finding a winnable deal…" message.
    */
-  handleStockClick() {
-    console.log('handleStockClick called - Stock:', this.gameState.stock.length, 'Waste:', this.gameState.waste.length);
-    
-    let moved = false;
+  setFindingDeal(finding) {
+    this.isFindingDeal = finding;
+    if (!this.rootElement) return;
 
-    if (this.gameState.stock.length > 0) {
-      // This click will change the layout of stock/waste, so capture the
-      // current state once before we mutate it.
-      this.captureUndoSnapshot();
+    const message = this.rootElement.querySelector('.klondike-deal-search');
+    if (message) {
+      message.hidden = !finding;
+    }
+    if (finding) {
+      this.announce('Finding a winnable deal…');
+    }
+  }
 
-      // Draw up to 3 cards from stock to waste
-      const drawCount = Math.min(3, this.gameState.stock.length);
-      console.log('Drawing', drawCount, 'cards from stock');
-      
-      for (let i = 0; i < drawCount; i++) {
-        const card = this.gameState.stock.pop();
-        card.faceUp = true;
-        this.gameState.waste.push(card);
+  /**
+   * Check whether the waste may be turned over into the stock again under
+   * the current deal's pass limit
+   */
+  canRecycleWaste() {
+    return KlondikeRules.canRecycleWaste(this.gameState);
+  }
+
+  /**
+   * Apply one move through KlondikeRules and adopt the resulting state.
+   *
+   * This is the only place where player moves change `gameState`: it
+   * records the move (which also gives Undo its command), registers the
+   * move and checks for a win. Rendering is left to the caller, which knows
+   * whether to animate first.
+   *
+   * @param {Object} move - A KlondikeRules move
+   * @returns {Object|null} The rules result, or null if the move is illegal
+   */
+  applyRulesMove(move) {
+    const result = KlondikeRules.applyMove(this.gameState, move);
+    if (!result) {
+      return null;
+    }
+
+    // The recycle event does not list the cards; they are the whole waste
+    const recycledCardIds = this.gameState.waste.map(card => card.id);
+
+    this.gameState = result.state;
+    result.events.forEach(event => {
+      if (event.type === 'flip') {
+        // Track this card for flip animation
+        this.revealedCardIds.add(event.cardId);
       }
-      moved = true;
-    } else if (this.gameState.waste.length > 0) {
-      // Recycling waste back to stock also counts as one logical move from
-      // the player's perspective.
-      this.captureUndoSnapshot();
+    });
 
-      // Recycle waste back to stock
-      console.log('Recycling waste back to stock');
-      while (this.gameState.waste.length > 0) {
-        const card = this.gameState.waste.pop();
-        card.faceUp = false;
-        this.gameState.stock.push(card);
+    // One logical move = one command, even when it moves a whole stack
+    const command = this.recordMove(move, result, recycledCardIds);
+    this.registerMove(command);
+    if (result.won) {
+      this.checkWinCondition();
+    }
+    return result;
+  }
+
+  /**
+   * Internal helper: add an applied move to `moveHistory` and push it as
+   * Undo's command. Entries are plain JSON data, so they are saved with the
+   * game:
+   * { time, move, from, to, cardIds, flippedCardIds, scoreDelta }
+   * where `move` is the KlondikeRules move that replays it, and the rest is
+   * what KlondikeRules.revertMove needs to take it back. Returns the entry.
+   */
+  recordMove(move, result, recycledCardIds) {
+    const entry = {
+      time: Date.now(),
+      move: move.type === 'move'
+        ? { type: 'move', from: move.from, to: move.to, count: move.count }
+        : { type: move.type },
+      from: null,
+      to: null,
+      cardIds: [],
+      flippedCardIds: [],
+      scoreDelta: result.scoreDelta
+    };
+
+    result.events.forEach(event => {
+      if (event.type === 'draw') {
+        Object.assign(entry, { from: 'stock', to: 'waste', cardIds: event.cardIds });
+      } else if (event.type === 'recycle') {
+        Object.assign(entry, { from: 'waste', to: 'stock', cardIds: recycledCardIds });
+      } else if (event.type === 'move') {
+        Object.assign(entry, { from: event.from, to: event.to, cardIds: event.cardIds });
+      } else if (event.type === 'flip') {
+        entry.flippedCardIds.push(event.cardId);
       }
-      moved = true;
+    });
+
+    this.moveHistory.push(entry);
+
+    const undoManager = this.getUndoManager();
+    if (undoManager && typeof undoManager.pushCommand === 'function') {
+      undoManager.pushCommand(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Public API: everything the replay viewer needs to play the current deal
+   * back: { seed, layout, rules, scoringMode, moves } where `moves` is the
+   * move history (see recordMove). `layout` is set for imported deals,
+   * which are rebuilt from it instead of the seed.
+   *
+   * Returns null when the deal cannot be rebuilt: it has neither a deal
+   * number nor a layout, or the history does not cover every move (a game
+   * saved before the history existed).
+   */
+  getReplayData() {
+    if (!this.gameState || this.moveHistory.length !== this.gameState.moveCount ||
+        (!this.currentLayout && !Klondike3Engine.isValidSeed(this.currentSeed))) {
+      return null;
+    }
+    return {
+      seed: this.currentSeed,
+      layout: this.currentLayout,
+      rules: { ...this.gameState.rules },
+      scoringMode: this.gameState.scoringMode,
+      moves: this.moveHistory.map(entry => ({ ...entry }))
+    };
+  }
+
+  /**
+   * Internal helper: get a reference to the shared KlondikeNotation module,
+   * if available. Without it games cannot be imported or exported.
+   */
+  getNotation() {
+    if (typeof window === 'undefined' || !window.KlondikeNotation) {
+      return null;
+    }
+    return window.KlondikeNotation;
+  }
+
+  /**
+   * Public API: the current game in Klondike notation (see
+   * klondikeNotation.js): its rules, layout and moves so far. When the move
+   * history is incomplete (a game saved before it existed), only the deal
+   * is written.
+   *
+   * Returns null if there is no game or KlondikeNotation is not available.
+   */
+  exportGame() {
+    const notation = this.getNotation();
+    if (!notation || !this.gameState) {
+      return null;
+    }
+
+    const replayData = this.getReplayData();
+    const layout = this.currentLayout || KlondikeRules.getLayout(
+      KlondikeRules.deal(this.currentSeed, { rules: this.gameState.rules })
+    );
+    return notation.format({
+      seed: this.currentSeed,
+      layout,
+      rules: this.gameState.rules,
+      moves: replayData ? replayData.moves.map(entry => entry.move) : []
+    });
+  }
+
+  /**
+   * Public API: start the deal or game written in `text` (Klondike
+   * notation). The deal keeps the rules given in the text; its moves are
+   * played at once, and can be undone one by one.
+   *
+   * Returns null on success, otherwise the parse error
+   * { message, token, line }; the current game is then left untouched.
+   */
+  importGame(text) {
+    const notation = this.getNotation();
+    if (!notation) {
+      return { message: 'Importing is not available.', token: null, line: null };
+    }
+
+    const parsed = notation.parse(text);
+    if (parsed.error) {
+      return parsed.error;
     }
 
-    // Only register as a move if something actually changed
+    const { game } = parsed;
+    this.startNewDeal({ seed: game.seed, layout: game.layout, rules: game.rules });
+
+    game.moves.forEach(move => {
+      const recycledCardIds = this.gameState.waste.map(card => card.id);
+      const result = KlondikeRules.applyMove(this.gameState, move);
+      this.gameState = result.state;
+      this.recordMove(move, result, recycledCardIds);
+    });
+
+    if (game.moves.length > 0) {
+      this.firstMoveDone = true;
+      this.firstMoveTimestamp = Date.now();
+      if (this.callbacks && this.callbacks.onFirstMove) {
+        this.callbacks.onFirstMove();
+      }
+      this.lossCheckPending = true;
+    }
+
+    this.updateDisplay();
+    this.notifyMove();
+    this.announce(game.moves.length === 0
+      ? 'Deal imported.'
+      : `Game imported, ${game.moves.length} ${game.moves.length === 1 ? 'move' : 'moves'} played.`);
+    if (KlondikeRules.isWon(this.gameState)) {
+      this.checkWinCondition();
+    }
+    return null;
+  }
+
+  /**
+   * Public API for view-only boards: show `state` as it is. Cards listed in
+   * `flippedCardIds` are turned over with the usual flip animation.
+   */
+  showPosition(state, flippedCardIds = []) {
+    this.gameState = state;
+    flippedCardIds.forEach(cardId => this.revealedCardIds.add(cardId));
+    this.updateDisplay(0);
+  }
+
+  /**
+   * Internal helper: check that `cards` are exactly the top cards of the
+   * pile at `location`, so a stale drag or selection cannot move others.
+   */
+  areTopCards(location, cards) {
+    const pile = KlondikeRules.getPile(this.gameState, location);
+    if (!pile || !cards || cards.length === 0 || cards.length > pile.length) {
+      return false;
+    }
+    const offset = pile.length - cards.length;
+    return cards.every((card, i) => pile[offset + i].id === card.id);
+  }
+
+  /**
+   * Handle stock pile click (draw 1 or 3 cards, or recycle the waste)
+   */
+  handleStockClick() {
+    console.log('handleStockClick called - Stock:', this.gameState.stock.length, 'Waste:', this.gameState.waste.length);
+    
+    // Drawing and recycling each count as one logical move
+    const move = this.gameState.stock.length > 0 ? { type: 'draw' } : { type: 'recycle' };
+    const moved = this.applyRulesMove(move) !== null;
+
+    // Only update if something actually changed: drawn cards fan out into
+    // the waste, a recycled waste sweeps back onto the stock
     if (moved) {
-      this.registerMove();
-      // Update display with animation delay for stock/waste transition
-      const durations = this.getAnimationDurations();
-      this.updateDisplay(durations.stockDelayMs);
+      this.showStockMove(this.moveHistory[this.moveHistory.length - 1], false);
     }
   }
 
@@ -723,9 +1717,10 @@ class Klondike3Engine {
     if (foundationIndex !== -1) {
       const movedToFoundation = this.moveCardToFoundation('waste', foundationIndex, topCard);
       if (movedToFoundation) {
-        // Animate the card movement before updating display
-        const wasteCard = this.rootElement.querySelector('.klondike-card[data-location="waste"]');
-        const foundationElement = this.rootElement.querySelector(`#foundation-${foundationIndex}`);
+        // Animate the card movement before updating display. The played
+        // card is the top of the waste fan, not its first card.
+        const wasteCard = this.cardElements.get(topCard.id);
+        const foundationElement = this.getPileElement(`foundation-${foundationIndex}`);
         
         this.animateCardMovement(wasteCard, foundationElement).then(() => {
           this.updateDisplay(0);
@@ -740,8 +1735,8 @@ class Klondike3Engine {
         const movedToTableau = this.moveCardsToTableau('waste', col, [topCard]);
         if (movedToTableau) {
           // Animate the card movement before updating display
-          const wasteCard = this.rootElement.querySelector('.klondike-card[data-location="waste"]');
-          const tableauElement = this.rootElement.querySelector(`#tableau-${col}`);
+          const wasteCard = this.cardElements.get(topCard.id);
+          const tableauElement = this.getPileElement(`tableau-${col}`);
           
           this.animateCardMovement(wasteCard, tableauElement).then(() => {
             this.updateDisplay(0);
@@ -752,13 +1747,402 @@ class Klondike3Engine {
     }
 
     // 3) No legal move from waste: give a small "no move" feedback on the waste pile
-    const wastePile = this.rootElement.querySelector('#waste-pile');
-    if (wastePile) {
-      wastePile.classList.add('klondike-no-move');
-      setTimeout(() => {
-        wastePile.classList.remove('klondike-no-move');
-      }, 150);
+    this.flashNoMove(this.getPileElement('waste-pile'));
+  }
+
+  /**
+   * Give a small "no move" shake on a pile element
+   */
+  flashNoMove(element) {
+    if (!element) return;
+    this.playSound('invalid');
+    element.classList.add('klondike-no-move');
+    setTimeout(() => {
+      element.classList.remove('klondike-no-move');
+    }, 150);
+  }
+
+  /**
+   * Keyboard play: the top-row piles in Left/Right order. They line up with
+   * tableau columns 0, 1 and 3-6 for Up/Down (column 2 sits under the gap
+   * between the waste and the foundations).
+   */
+  static get KEYBOARD_TOP_ROW() {
+    return ['stock-pile', 'waste-pile', 'foundation-0', 'foundation-1', 'foundation-2', 'foundation-3'];
+  }
+
+  static get KEYBOARD_TOP_ROW_COLUMNS() {
+    return [0, 1, 3, 4, 5, 6];
+  }
+
+  /**
+   * Check whether a pile id is one of the focusable piles
+   */
+  isKeyboardPileId(pileId) {
+    return Klondike3Engine.KEYBOARD_TOP_ROW.includes(pileId) || /^tableau-[0-6]$/.test(pileId || '');
+  }
+
+  /**
+   * Map a pile id to the card location used by moves
+   * ('stock-pile' -> 'stock', 'waste-pile' -> 'waste', others unchanged)
+   */
+  pileIdToLocation(pileId) {
+    return pileId.replace(/-pile$/, '');
+  }
+
+  /**
+   * Get a pile's element by its pile id ('stock-pile', 'waste-pile',
+   * 'foundation-N', 'tableau-N'). Piles are marked with data-pile-id
+   * rather than element ids, so boards can share a page.
+   */
+  getPileElement(pileId) {
+    return this.rootElement ? this.rootElement.querySelector(`[data-pile-id="${pileId}"]`) : null;
+  }
+
+  /**
+   * Handle keydown on the board (keyboard play).
+   *
+   * Only plain keys are handled here; shortcuts with modifiers and the
+   * global letter shortcuts (D, F, H, P) are left to the shell.
+   */
+  handleBoardKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || !this.gameState) return;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown':
+      {
+        e.preventDefault();
+        // The cursor may move during an animation, but not ahead of an
+        // Enter that is still waiting
+        const direction = e.key.slice(5).toLowerCase();
+        this.queueInput(() => this.moveKeyboardCursor(direction), { waitForAnimation: false });
+        break;
+      }
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        if (!e.repeat) {
+          this.queueInput(() => this.activateKeyboardCursor());
+        }
+        break;
+      case 'Escape':
+        // Put a picked-up card back; without one, Esc opens the shell menu
+        if (this.keyboardSelection) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.clearKeyboardSelection();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Resolve the card index of the keyboard cursor in a tableau column:
+   * the remembered index if it still points at a face-up card, otherwise
+   * the bottom card. Returns -1 for an empty column.
+   */
+  getKeyboardCardIndex(colIndex) {
+    const column = this.gameState.tableau[colIndex];
+    const index = this.keyboardCursor.cardIndex;
+    if (index !== null && index >= 0 && index < column.length && column[index].faceUp) {
+      return index;
+    }
+    return column.length - 1;
+  }
+
+  /**
+   * Move the keyboard cursor one step ('left', 'right', 'up' or 'down').
+   *
+   * Left/Right walk along the top row or across tableau columns. Up/Down
+   * walk through the face-up cards of a column, and cross between the
+   * top row and the tableau at either end.
+   */
+  moveKeyboardCursor(direction) {
+    const topRow = Klondike3Engine.KEYBOARD_TOP_ROW;
+    const topRowColumns = Klondike3Engine.KEYBOARD_TOP_ROW_COLUMNS;
+    const { pileId } = this.keyboardCursor;
+    const topIndex = topRow.indexOf(pileId);
+
+    if (topIndex !== -1) {
+      if (direction === 'left' && topIndex > 0) {
+        this.focusKeyboardCursor(topRow[topIndex - 1]);
+      } else if (direction === 'right' && topIndex < topRow.length - 1) {
+        this.focusKeyboardCursor(topRow[topIndex + 1]);
+      } else if (direction === 'down') {
+        this.focusKeyboardCursor(`tableau-${topRowColumns[topIndex]}`);
+      }
+      return;
+    }
+
+    const colIndex = parseInt(pileId.split('-')[1]);
+    const column = this.gameState.tableau[colIndex];
+    const cardIndex = this.getKeyboardCardIndex(colIndex);
+
+    if (direction === 'left' && colIndex > 0) {
+      this.focusKeyboardCursor(`tableau-${colIndex - 1}`);
+    } else if (direction === 'right' && colIndex < 6) {
+      this.focusKeyboardCursor(`tableau-${colIndex + 1}`);
+    } else if (direction === 'up') {
+      if (cardIndex > 0 && column[cardIndex - 1].faceUp) {
+        this.focusKeyboardCursor(pileId, cardIndex - 1);
+      } else {
+        // Nearest top-row pile above this column
+        let target = 0;
+        topRowColumns.forEach((col, index) => {
+          if (col <= colIndex) target = index;
+        });
+        this.focusKeyboardCursor(topRow[target]);
+      }
+    } else if (direction === 'down' && cardIndex !== -1 && cardIndex < column.length - 1) {
+      this.focusKeyboardCursor(pileId, cardIndex + 1);
+    }
+  }
+
+  /**
+   * Put the keyboard cursor on a pile (and card index, for tableau columns)
+   * and move DOM focus there
+   */
+  focusKeyboardCursor(pileId, cardIndex = null) {
+    this.keyboardCursor = { pileId, cardIndex };
+
+    const pileElement = this.getPileElement(pileId);
+    if (pileElement && document.activeElement !== pileElement) {
+      pileElement.focus();
+    }
+
+    this.applyKeyboardCursor();
+  }
+
+  /**
+   * Enter/Space on the cursor: draw from the stock, pick up the card or run
+   * under the cursor, or drop the picked-up cards on the cursor pile.
+   */
+  activateKeyboardCursor() {
+    if (!this.gameState) return;
+
+    const { pileId } = this.keyboardCursor;
+
+    if (this.keyboardSelection) {
+      this.dropKeyboardSelection(pileId);
+      return;
+    }
+
+    if (pileId === 'stock-pile') {
+      this.handleStockClick();
+      return;
+    }
+
+    const location = this.pileIdToLocation(pileId);
+    let cards = null;
+    if (location.startsWith('tableau-')) {
+      const colIndex = parseInt(location.split('-')[1]);
+      const cardIndex = this.getKeyboardCardIndex(colIndex);
+      if (cardIndex !== -1) {
+        cards = this.gameState.tableau[colIndex].slice(cardIndex);
+      }
+    } else {
+      const pile = location === 'waste'
+        ? this.gameState.waste
+        : this.gameState.foundations[parseInt(location.split('-')[1])];
+      if (pile.length > 0) {
+        cards = [pile[pile.length - 1]];
+      }
+    }
+
+    if (!cards || !cards[0].faceUp) {
+      this.flashNoMove(this.getPileElement(pileId));
+      return;
+    }
+
+    this.clearHintHighlight();
+    this.keyboardSelection = { location, cardId: cards[0].id };
+    this.applyKeyboardCursor();
+    this.playSound('pickup');
+    this.announce(`Picked up ${this.describeCard(cards[0])}${cards.length > 1 ? ` and ${cards.length - 1} more` : ''}.`);
+  }
+
+  /**
+   * Get the cards of the current keyboard selection from the live game
+   * state, or null if they have moved since they were picked up (e.g. by
+   * a mouse move or autoplay).
+   */
+  getKeyboardSelectionCards() {
+    const selection = this.keyboardSelection;
+    if (!selection || !this.gameState) return null;
+
+    let pile;
+    if (selection.location === 'waste') {
+      pile = this.gameState.waste;
+    } else if (selection.location.startsWith('foundation-')) {
+      pile = this.gameState.foundations[parseInt(selection.location.split('-')[1])];
+    } else {
+      pile = this.gameState.tableau[parseInt(selection.location.split('-')[1])];
+    }
+
+    const index = pile.findIndex(card => card.id === selection.cardId);
+    if (index === -1 || !pile[index].faceUp) return null;
+
+    // Only tableau runs can be picked up from the middle of a pile
+    if (!selection.location.startsWith('tableau-') && index !== pile.length - 1) return null;
+
+    return pile.slice(index);
+  }
+
+  /**
+   * Drop the keyboard selection on a pile. Dropping on the pile it came
+   * from puts it back; an illegal drop keeps the selection so another pile
+   * can be tried.
+   */
+  dropKeyboardSelection(pileId) {
+    const cards = this.getKeyboardSelectionCards();
+    const fromLocation = this.keyboardSelection.location;
+    const toLocation = this.pileIdToLocation(pileId);
+
+    if (!cards || toLocation === fromLocation) {
+      this.clearKeyboardSelection();
+      return;
+    }
+
+    // Only a single card can go to a foundation
+    const isTarget = toLocation.startsWith('tableau-') ||
+      (toLocation.startsWith('foundation-') && cards.length === 1);
+    const sourceElement = this.rootElement.querySelector(`.klondike-card[data-card-id="${cards[0].id}"]`);
+
+    if (!isTarget || !this.attemptMove(fromLocation, toLocation, cards)) {
+      this.flashNoMove(this.getPileElement(pileId));
+      return;
+    }
+
+    this.keyboardSelection = null;
+    this.animateCardMovement(sourceElement, this.getDestinationElement(toLocation)).then(() => {
+      this.updateDisplay(0);
+    });
+  }
+
+  /**
+   * Put back the keyboard selection without moving anything
+   */
+  clearKeyboardSelection() {
+    this.keyboardSelection = null;
+    this.applyKeyboardCursor();
+  }
+
+  /**
+   * Mark the cursor card and the selected cards after each render.
+   * The cursor mark is only shown while the board has keyboard focus (CSS).
+   */
+  applyKeyboardCursor() {
+    if (!this.rootElement || !this.gameState) return;
+
+    this.rootElement.querySelectorAll('.klondike-keyboard-cursor, .klondike-keyboard-selected').forEach(el => {
+      el.classList.remove('klondike-keyboard-cursor', 'klondike-keyboard-selected');
+      el.removeAttribute('aria-selected');
+    });
+
+    const { pileId } = this.keyboardCursor;
+    this.rootElement.querySelectorAll('[aria-activedescendant]').forEach(el => {
+      el.removeAttribute('aria-activedescendant');
+    });
+
+    // The focused pile points screen readers at its active card: the cursor
+    // card in a tableau column, the top card elsewhere
+    const pileElement = this.getPileElement(pileId);
+    let activeCardElement = null;
+    if (pileId.startsWith('tableau-')) {
+      const colIndex = parseInt(pileId.split('-')[1]);
+      const cardIndex = this.getKeyboardCardIndex(colIndex);
+      if (cardIndex !== -1) {
+        const card = this.gameState.tableau[colIndex][cardIndex];
+        activeCardElement = this.rootElement.querySelector(`[data-pile-id="${pileId}"] .klondike-card[data-card-id="${card.id}"]`);
+        if (activeCardElement) activeCardElement.classList.add('klondike-keyboard-cursor');
+      }
+    } else if (pileElement) {
+      const cards = pileElement.querySelectorAll('.klondike-card');
+      activeCardElement = cards.length > 0 ? cards[cards.length - 1] : null;
+    }
+    if (pileElement && activeCardElement && activeCardElement.id) {
+      pileElement.setAttribute('aria-activedescendant', activeCardElement.id);
+    }
+
+    const selectedCards = this.getKeyboardSelectionCards();
+    if (!selectedCards) {
+      this.keyboardSelection = null;
+      return;
+    }
+    selectedCards.forEach(card => {
+      const cardElement = this.rootElement.querySelector(`.klondike-card[data-card-id="${card.id}"]:not(.klondike-drag-stack-card)`);
+      if (cardElement) {
+        cardElement.classList.add('klondike-keyboard-selected');
+        cardElement.setAttribute('aria-selected', 'true');
+      }
+    });
+  }
+
+  /**
+   * Public API: draw from the stock (or recycle the waste), as if the stock
+   * was clicked. Used by the shell's "D" shortcut.
+   * Returns true if the stock or waste changed, or if the draw was queued
+   * behind an animation (see queueInput).
+   */
+  drawFromStock() {
+    if (!this.gameState) return false;
+
+    const movesBefore = this.gameState.moveCount;
+    const playedNow = this.queueInput(() => this.handleStockClick());
+    return !playedNow || this.gameState.moveCount !== movesBefore;
+  }
+
+  /**
+   * Public API: send the card under the keyboard cursor to its foundation.
+   * Used by the shell's "F" shortcut. On a tableau column this is the
+   * column's bottom card, the only one that can go up.
+   * Returns true if a card was moved, or if the move was queued behind an
+   * animation (see queueInput).
+   */
+  sendFocusedCardToFoundation() {
+    if (!this.rootElement || !this.gameState) return false;
+
+    let moved = false;
+    const playedNow = this.queueInput(() => {
+      moved = this.moveFocusedCardToFoundation();
+    });
+    return !playedNow || moved;
+  }
+
+  /**
+   * Internal helper: the move behind sendFocusedCardToFoundation
+   */
+  moveFocusedCardToFoundation() {
+    if (!this.rootElement || !this.gameState) return false;
+
+    const { pileId } = this.keyboardCursor;
+    const location = this.pileIdToLocation(pileId);
+    let pile = null;
+    if (location === 'waste') {
+      pile = this.gameState.waste;
+    } else if (location.startsWith('tableau-')) {
+      pile = this.gameState.tableau[parseInt(location.split('-')[1])];
+    }
+
+    const card = pile && pile.length > 0 ? pile[pile.length - 1] : null;
+    const foundationIndex = card && card.faceUp ? this.canMoveToFoundation(card) : -1;
+    if (foundationIndex === -1) {
+      this.flashNoMove(this.getPileElement(pileId));
+      return false;
     }
+
+    const sourceElement = this.rootElement.querySelector(`.klondike-card[data-card-id="${card.id}"]`);
+    if (!this.moveCardToFoundation(location, foundationIndex, card)) {
+      return false;
+    }
+
+    this.animateCardMovement(sourceElement, this.getDestinationElement(`foundation-${foundationIndex}`)).then(() => {
+      this.updateDisplay(0);
+    });
+    return true;
   }
 
   /**
@@ -769,6 +2153,10 @@ class Klondike3Engine {
    * - Does not flip any cards or modify score or move counters.
    * - Only adds temporary highlight classes to the source and destination.
    *
+   * Asking again in the same position shows the next ranked hint (see
+   * computeHintMoves), wrapping around after the last one. When there is no
+   * move at all, "No moves available" is shown over the board.
+   *
    * This method is intended to be called by the shell when the user presses
    * the global "Hint" button.
    */
@@ -781,144 +2169,153 @@ class Klondike3Engine {
     this.clearHintHighlight();
     this.currentHint = null;
 
-    const move = this.computeHintMove();
-    if (!move) {
-      // No legal moves found - nothing to highlight.
+    // Every move replaces gameState, so a cycle only lives as long as its position
+    if (this.hintCycle && this.hintCycle.state === this.gameState) {
+      this.hintCycle.index = (this.hintCycle.index + 1) % this.hintCycle.moves.length;
+    } else {
+      this.hintCycle = { state: this.gameState, moves: this.computeHintMoves(), index: 0 };
+    }
+
+    const { moves, index } = this.hintCycle;
+    if (moves.length === 0) {
+      this.showHintMessage('No moves available');
+      this.announce('No moves available.');
+      this.playSound('invalid');
       return;
     }
 
+    const move = moves[index];
     this.currentHint = move;
     this.applyHintHighlight(move);
+    this.announce(this.describeHint(move, moves.length > 1 ? { index, total: moves.length } : null));
+    this.playSound('hint');
   }
 
   /**
-   * Internal helper: compute the best hint move according to this priority:
+   * Internal helper: show a short message over the board, e.g. when a hint
+   * finds no move. It hides itself after a moment.
+   */
+  showHintMessage(text) {
+    const message = this.rootElement && this.rootElement.querySelector('.klondike-hint-message');
+    if (!message) return;
+
+    message.textContent = text;
+    message.hidden = false;
+    if (this.hintMessageTimer) {
+      clearTimeout(this.hintMessageTimer);
+    }
+    this.hintMessageTimer = setTimeout(() => {
+      this.hintMessageTimer = null;
+      message.hidden = true;
+    }, Klondike3Engine.HINT_MESSAGE_MS);
+  }
+
+  /**
+   * How long the "No moves available" message stays up
+   */
+  static get HINT_MESSAGE_MS() {
+    return 1500;
+  }
+
+  /**
+   * Internal helper: get a reference to the shared MoveGenerationEngine,
+   * if available. Without it there are no hints and no autoplay.
+   */
+  getMoveGenerator() {
+    if (typeof window === 'undefined' || !window.MoveGenerationEngine) {
+      return null;
+    }
+    return window.MoveGenerationEngine;
+  }
+
+  /**
+   * Internal helper: compute every hint for the current position, best
+   * first:
    * 1) Any move from tableau that will flip a face-down card underneath.
-   * 2) Tableau to foundation moves.
+   * 2) Moves to a foundation (tableau or waste).
    * 3) Waste to tableau moves.
-   * 4) Other tableau to tableau moves.
+   * 4) Tableau moves that empty a column.
+   * 5) Other tableau to tableau moves (whole runs before partial ones).
+   * 6) Drawing from the stock, or turning the waste over when it is empty.
+   *
+   * Moves come from MoveGenerationEngine; for each source only the first
+   * valid tableau destination from the left is considered. Moves that
+   * change nothing (a whole column onto an empty column) are skipped, and
+   * cards are never suggested back off a foundation.
    *
    * Only visible moves are considered. The hint itself never flips cards
-   * or changes the game state; it just returns a structured description.
+   * or changes the game state; it just returns structured descriptions.
    *
-   * Returns:
-   * - An object describing the move, or
-   * - null if no legal moves exist.
+   * Returns an array of hint moves (empty if no legal move exists).
    */
-  computeHintMove() {
-    if (!this.gameState) {
-      return null;
+  computeHintMoves() {
+    const generator = this.getMoveGenerator();
+    if (!this.gameState || !generator) {
+      return [];
     }
 
-    const priority1 = [];
-    const priority2 = [];
-    const priority3 = [];
-    const priority4 = [];
-
-    // 1 + 2 + 4: tableau-based moves using the top face-up card in each column.
-    for (let colIndex = 0; colIndex < this.gameState.tableau.length; colIndex++) {
-      const column = this.gameState.tableau[colIndex];
-      if (!column || column.length === 0) continue;
-
-      const topIndex = column.length - 1;
-      const card = column[topIndex];
-      if (!card.faceUp) {
-        // If the top card is face down, the column has no direct visible moves.
-        continue;
-      }
-
-      const from = { zone: 'tableau', colIndex, cardId: card.id };
-
-      // 2) Try tableau -> foundation.
-      const foundationIndex = this.canMoveToFoundation(card);
-      if (foundationIndex !== -1) {
-        const moveToFoundation = {
-          type: 'tableau-to-foundation',
-          from,
-          to: { zone: 'foundation', foundationIndex },
-          willFlip: this.willTableauMoveFlip(colIndex, 1)
-        };
-        if (moveToFoundation.willFlip) {
-          priority1.push(moveToFoundation);
-        } else {
-          priority2.push(moveToFoundation);
-        }
+    const priorities = [[], [], [], [], [], []];
+    const seenSources = new Set();
+
+    generator.generateMoves(this.gameState).forEach(move => {
+      if (move.emptiesColumn && move.entersEmptyColumn) return;
+
+      let priority;
+      if (move.type === 'draw' || move.type === 'recycle') {
+        priority = 5;
+      } else if (move.flipsCard) {
+        priority = 0;
+      } else if (move.moveType === 'tableau-to-foundation' || move.moveType === 'waste-to-foundation') {
+        priority = 1;
+      } else if (move.moveType === 'waste-to-tableau') {
+        priority = 2;
+      } else if (move.moveType === 'tableau-to-tableau') {
+        priority = move.emptiesColumn ? 3 : 4;
+      } else {
+        return;
       }
 
-      // 1 + 4) Try tableau -> tableau using the same top card.
-      for (let targetCol = 0; targetCol < this.gameState.tableau.length; targetCol++) {
-        if (targetCol === colIndex) continue;
-
-        if (this.canMoveToTableau([card], targetCol)) {
-          const moveToTableau = {
-            type: 'tableau-to-tableau',
-            from,
-            to: { zone: 'tableau', colIndex: targetCol },
-            willFlip: this.willTableauMoveFlip(colIndex, 1)
-          };
-
-          if (moveToTableau.willFlip) {
-            priority1.push(moveToTableau);
-          } else {
-            priority4.push(moveToTableau);
-          }
-
-          // Use the first valid tableau destination from the left for this source.
-          break;
-        }
+      // First valid tableau destination from the left is enough per source
+      if (move.to && move.to.startsWith('tableau-')) {
+        const sourceKey = `${move.from}:${move.count}`;
+        if (seenSources.has(sourceKey)) return;
+        seenSources.add(sourceKey);
       }
-    }
-
-    // 3) Waste -> tableau moves using the top waste card.
-    if (this.gameState.waste && this.gameState.waste.length > 0) {
-      const topWaste = this.gameState.waste[this.gameState.waste.length - 1];
-      const fromWaste = { zone: 'waste', cardId: topWaste.id };
 
-      for (let colIndex = 0; colIndex < this.gameState.tableau.length; colIndex++) {
-        if (this.canMoveToTableau([topWaste], colIndex)) {
-          const wasteMove = {
-            type: 'waste-to-tableau',
-            from: fromWaste,
-            to: { zone: 'tableau', colIndex },
-            willFlip: false // Waste moves never flip a tableau card on their own.
-          };
-          priority3.push(wasteMove);
-          // First valid tableau column from the left is enough.
-          break;
-        }
-      }
-    }
-
-    if (priority1.length > 0) return priority1[0];
-    if (priority2.length > 0) return priority2[0];
-    if (priority3.length > 0) return priority3[0];
-    if (priority4.length > 0) return priority4[0];
+      priorities[priority].push(this.toHintMove(move));
+    });
 
-    return null;
+    return priorities.flat();
   }
 
   /**
-   * Internal helper: determine if moving `count` cards from the top of a
-   * tableau column will immediately flip a face-down card.
-   *
-   * This mirrors the logic in `moveCardsToTableau` and `moveCardToFoundation`:
-   * after removing `count` cards from the top, if the new top card exists
-   * and is face down, it will be flipped as part of that move.
+   * Internal helper: convert a generated move into the hint format used by
+   * applyHintHighlight and describeHint:
+   * { type, from: { zone, colIndex?, cardId }, to: { zone, colIndex? | foundationIndex? }, willFlip }
    *
-   * Note: The hint system uses this information only to prioritise moves.
-   * It never reveals or shows the hidden card itself.
+   * Stock moves become { type: 'draw', from: { zone: 'stock' }, to: { zone: 'waste' } }
+   * and { type: 'recycle', from: { zone: 'waste' }, to: { zone: 'stock' } }.
    */
-  willTableauMoveFlip(colIndex, count) {
-    if (!this.gameState || !this.gameState.tableau) {
-      return false;
+  toHintMove(move) {
+    if (move.type === 'draw') {
+      return { type: 'draw', from: { zone: 'stock' }, to: { zone: 'waste' }, willFlip: false };
     }
-    const column = this.gameState.tableau[colIndex];
-    if (!column || column.length <= count) {
-      return false;
+    if (move.type === 'recycle') {
+      return { type: 'recycle', from: { zone: 'waste' }, to: { zone: 'stock' }, willFlip: false };
     }
 
-    const newTop = column[column.length - 1 - count];
-    return !!newTop && !newTop.faceUp;
+    const [fromZone, fromIndex] = move.from.split('-');
+    const [toZone, toIndex] = move.to.split('-');
+
+    const from = { zone: fromZone, cardId: move.cardIds[0], count: move.count };
+    if (fromZone === 'tableau') {
+      from.colIndex = parseInt(fromIndex, 10);
+    }
+    const to = toZone === 'tableau'
+      ? { zone: 'tableau', colIndex: parseInt(toIndex, 10) }
+      : { zone: 'foundation', foundationIndex: parseInt(toIndex, 10) };
+
+    return { type: move.moveType, from, to, willFlip: move.flipsCard };
   }
 
   /**
@@ -947,7 +2344,16 @@ class Klondike3Engine {
   applyHintHighlight(move) {
     if (!this.rootElement || !move) return;
 
-    // Highlight the source card.
+    // Stock hints highlight the two piles involved
+    if (move.type === 'draw' || move.type === 'recycle') {
+      const source = this.getPileElement(move.type === 'draw' ? 'stock-pile' : 'waste-pile');
+      const dest = this.getPileElement(move.type === 'draw' ? 'waste-pile' : 'stock-pile');
+      if (source) source.classList.add('klondike-hint-source');
+      if (dest) dest.classList.add('klondike-hint-dest');
+      return;
+    }
+
+    // Highlight the source card (the base card of a run).
     let sourceElement = null;
     if (move.from.zone === 'waste') {
       sourceElement = this.rootElement.querySelector(
@@ -966,9 +2372,9 @@ class Klondike3Engine {
     // Highlight the destination pile.
     let destElement = null;
     if (move.to.zone === 'tableau') {
-      destElement = this.rootElement.querySelector(`#tableau-${move.to.colIndex}`);
+      destElement = this.getPileElement(`tableau-${move.to.colIndex}`);
     } else if (move.to.zone === 'foundation') {
-      destElement = this.rootElement.querySelector(`#foundation-${move.to.foundationIndex}`);
+      destElement = this.getPileElement(`foundation-${move.to.foundationIndex}`);
     }
 
     if (destElement) {
@@ -977,9 +2383,31 @@ class Klondike3Engine {
   }
 
   /**
-   * Handle drag start
+   * Handle drag start
+   */
+  handleDragStart(e, cardElement) {
+    // Set drag effect
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', cardElement.dataset.cardId);
+    
+    // Hide native drag ghost - create 1x1 transparent image
+    if (!this.transparentDragImage) {
+      this.transparentDragImage = document.createElement('img');
+      this.transparentDragImage.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+    }
+    e.dataTransfer.setDragImage(this.transparentDragImage, 0, 0);
+
+    this.beginCardDrag(e, cardElement);
+  }
+
+  /**
+   * Pick up a card (and the cards below it in a tableau column): store the
+   * drag data, show the floating stack at the pointer and hide the originals.
+   * Shared by HTML5 drag and drop and the pointer (touch) drag.
+   * @param {{clientX: number, clientY: number}} e - Event with the pointer position
+   * @param {HTMLElement} cardElement - The card being picked up
    */
-  handleDragStart(e, cardElement) {
+  beginCardDrag(e, cardElement) {
     const cardId = cardElement.dataset.cardId;
     const location = cardElement.dataset.location;
     
@@ -989,17 +2417,8 @@ class Klondike3Engine {
       location: location,
       element: cardElement
     };
-    
-    // Set drag effect
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/plain', cardId);
-    
-    // Hide native drag ghost - create 1x1 transparent image
-    if (!this.transparentDragImage) {
-      this.transparentDragImage = document.createElement('img');
-      this.transparentDragImage.src = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
-    }
-    e.dataTransfer.setDragImage(this.transparentDragImage, 0, 0);
+
+    this.playSound('pickup');
     
     // If dragging from tableau, create visual stack and hide original cards
     if (location.startsWith('tableau-')) {
@@ -1057,14 +2476,19 @@ class Klondike3Engine {
     if (!this.dragData) return;
     
     const success = this.attemptMove(this.dragData.location, dropZoneId, this.dragData.draggedCards);
+    // Read before cleanupDragVisuals clears dragData
+    const sourceElement = this.dragData.element;
     
     // Clean up drag state
     this.cleanupDragVisuals(success);
     
+    if (!success) {
+      this.playSound('invalid');
+    }
+    
     if (success) {
       // Animate the card movement from source to destination before updating display
       const destElement = this.getDestinationElement(dropZoneId);
-      const sourceElement = this.dragData.element;
       
       this.animateCardMovement(sourceElement, destElement).then(() => {
         this.updateDisplay(0); // Update display immediately after animation
@@ -1072,6 +2496,199 @@ class Klondike3Engine {
     }
   }
 
+  /**
+   * How long a touch must be held still before the card is picked up
+   */
+  static get LONG_PRESS_MS() {
+    return 350;
+  }
+
+  /**
+   * How far a touch must travel before it counts as a drag instead of a tap
+   */
+  static get DRAG_THRESHOLD_PX() {
+    return 8;
+  }
+
+  /**
+   * Handle pointerdown on a draggable card (touch and pen only).
+   *
+   * The press becomes a drag once the finger moves past DRAG_THRESHOLD_PX,
+   * or when it is held for LONG_PRESS_MS. A press released before either is
+   * a tap and is left to the regular click handler.
+   */
+  handlePointerDown(e, cardElement) {
+    if (e.pointerType === 'mouse' || !e.isPrimary) return;
+    if (this.dragData || this.pointerPress) return;
+
+    const press = {
+      pointerId: e.pointerId,
+      cardElement: cardElement,
+      startX: e.clientX,
+      startY: e.clientY,
+      lastEvent: e,
+      dragging: false,
+      dropZoneElement: null,
+      longPressTimer: null
+    };
+
+    press.longPressTimer = setTimeout(() => {
+      press.longPressTimer = null;
+      if (this.pointerPress === press && !press.dragging) {
+        this.startPointerDrag();
+      }
+    }, Klondike3Engine.LONG_PRESS_MS);
+
+    press.moveHandler = (moveE) => this.handlePointerMove(moveE);
+    press.upHandler = (upE) => this.handlePointerUp(upE, false);
+    press.cancelHandler = (cancelE) => this.handlePointerUp(cancelE, true);
+
+    document.addEventListener('pointermove', press.moveHandler, { passive: false });
+    document.addEventListener('pointerup', press.upHandler);
+    document.addEventListener('pointercancel', press.cancelHandler);
+
+    this.pointerPress = press;
+  }
+
+  /**
+   * Handle pointermove during a touch press: start the drag once the finger
+   * has moved far enough, then keep the floating stack under the finger.
+   */
+  handlePointerMove(e) {
+    const press = this.pointerPress;
+    if (!press || e.pointerId !== press.pointerId) return;
+
+    press.lastEvent = e;
+
+    if (!press.dragging) {
+      const distance = Math.hypot(e.clientX - press.startX, e.clientY - press.startY);
+      if (distance < Klondike3Engine.DRAG_THRESHOLD_PX) return;
+      this.startPointerDrag();
+      if (!press.dragging) return;
+    }
+
+    e.preventDefault();
+
+    if (this.dragData && this.dragData.floatingStack) {
+      this.dragData.floatingStack.style.left = `${e.clientX}px`;
+      this.dragData.floatingStack.style.top = `${e.clientY}px`;
+    }
+
+    // Same drop zone feedback as HTML5 dragover
+    const dropZoneId = this.findDropZoneAt(e.clientX, e.clientY);
+    const dropZoneElement = dropZoneId ? this.getPileElement(dropZoneId) : null;
+    if (dropZoneElement !== press.dropZoneElement) {
+      if (press.dropZoneElement) press.dropZoneElement.classList.remove('drag-over');
+      if (dropZoneElement) dropZoneElement.classList.add('drag-over');
+      press.dropZoneElement = dropZoneElement;
+    }
+  }
+
+  /**
+   * Turn the current touch press into a drag
+   */
+  startPointerDrag() {
+    const press = this.pointerPress;
+    if (!press || press.dragging) return;
+
+    if (press.longPressTimer) {
+      clearTimeout(press.longPressTimer);
+      press.longPressTimer = null;
+    }
+
+    // The card may have been moving: drag it from where it landed
+    this.finishAnimationsForDrag();
+
+    // The board may have changed since the press began (e.g. autoplay)
+    if (this.dragData || !press.cardElement.isConnected ||
+        !this.isCardDraggable(press.cardElement)) {
+      this.endPointerPress();
+      return;
+    }
+
+    this.clearHintHighlight();
+    press.dragging = true;
+    this.beginCardDrag(press.lastEvent, press.cardElement);
+  }
+
+  /**
+   * Handle pointerup / pointercancel: drop the stack on the zone under the
+   * finger, or put it back when there is none or the gesture was cancelled.
+   */
+  handlePointerUp(e, cancelled) {
+    const press = this.pointerPress;
+    if (!press || e.pointerId !== press.pointerId) return;
+
+    const wasDragging = press.dragging;
+    this.endPointerPress();
+
+    if (!wasDragging || !this.dragData) return;
+
+    this.pointerDragEndedAt = Date.now();
+
+    const dropZoneId = cancelled ? null : this.findDropZoneAt(e.clientX, e.clientY);
+
+    if (dropZoneId) {
+      this.finishAnimationsForDrag();
+      this.handleDrop(e, dropZoneId);
+    } else {
+      this.cleanupDragVisuals(false);
+    }
+  }
+
+  /**
+   * Forget the current touch press and remove its document listeners.
+   * Drag visuals are left alone; the caller decides how the drag ends.
+   */
+  endPointerPress() {
+    const press = this.pointerPress;
+    if (!press) return;
+
+    if (press.longPressTimer) {
+      clearTimeout(press.longPressTimer);
+    }
+    if (press.dropZoneElement) {
+      press.dropZoneElement.classList.remove('drag-over');
+    }
+
+    document.removeEventListener('pointermove', press.moveHandler);
+    document.removeEventListener('pointerup', press.upHandler);
+    document.removeEventListener('pointercancel', press.cancelHandler);
+
+    this.pointerPress = null;
+  }
+
+  /**
+   * Find the drop zone (tableau column or foundation) at a screen position.
+   *
+   * The floating stack ignores pointer events, so the element under the
+   * finger is the pile itself. Tableau columns only extend to their last
+   * card, so a point further down still counts for the column above it.
+   * @returns {string|null} Drop zone id, e.g. 'tableau-3' or 'foundation-0'
+   */
+  findDropZoneAt(x, y) {
+    if (!this.rootElement) return null;
+
+    const hit = document.elementFromPoint(x, y);
+    const zone = hit && hit.closest
+      ? hit.closest('.klondike-tableau-column, .klondike-foundation')
+      : null;
+    if (zone && this.rootElement.contains(zone)) {
+      return zone.dataset.pileId;
+    }
+
+    for (let i = 0; i < 7; i++) {
+      const column = this.getPileElement(`tableau-${i}`);
+      if (!column) continue;
+      const rect = column.getBoundingClientRect();
+      if (x >= rect.left && x <= rect.right && y >= rect.top) {
+        return `tableau-${i}`;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Create a floating visual stack that follows the cursor during drag
    */
@@ -1138,7 +2755,7 @@ class Klondike3Engine {
    * Hide tableau cards at specified positions during drag
    */
   hideTableauCards(colIndex, startIndex) {
-    const columnElement = this.rootElement.querySelector(`#tableau-${colIndex}`);
+    const columnElement = this.getPileElement(`tableau-${colIndex}`);
     if (!columnElement) return;
     
     const cardElements = columnElement.querySelectorAll('.klondike-card');
@@ -1154,7 +2771,7 @@ class Klondike3Engine {
    * Restore visibility of hidden tableau cards
    */
   restoreTableauCards(colIndex, startIndex) {
-    const columnElement = this.rootElement.querySelector(`#tableau-${colIndex}`);
+    const columnElement = this.getPileElement(`tableau-${colIndex}`);
     if (!columnElement) return;
     
     const cardElements = columnElement.querySelectorAll('.klondike-card-hidden-for-drag');
@@ -1179,9 +2796,9 @@ class Klondike3Engine {
   restoreNonTableauCard(cardId, sourceType, foundationIndex) {
     let selector;
     if (sourceType === 'waste') {
-      selector = `#waste-pile .klondike-card[data-card-id="${cardId}"]`;
+      selector = `[data-pile-id="waste-pile"] .klondike-card[data-card-id="${cardId}"]`;
     } else if (sourceType === 'foundation') {
-      selector = `#foundation-${foundationIndex} .klondike-card[data-card-id="${cardId}"]`;
+      selector = `[data-pile-id="foundation-${foundationIndex}"] .klondike-card[data-card-id="${cardId}"]`;
     }
     
     if (selector) {
@@ -1208,7 +2825,7 @@ class Klondike3Engine {
         // Failed drop - restore original cards visibility
         this.restoreTableauCards(this.dragData.colIndex, this.dragData.cardIndex);
       }
-      // On successful drop, updateDisplay() will recreate the DOM properly
+      // On successful drop, updateDisplay() will patch the cards back
     } else if (this.dragData.sourceType === 'waste') {
       if (!success) {
         // Failed drop - restore original waste card visibility
@@ -1269,7 +2886,7 @@ class Klondike3Engine {
     // counting, win checks and Undo snapshot all behave consistently.
     const moved = this.moveCardToFoundation('waste', foundationIndex, card);
     if (moved) {
-      // moveCardToFoundation already calls registerMove and checkWinCondition.
+      // The move has been applied and registered (including the win check).
       // Here we only need to update the visual layout.
       this.updateDisplay();
     }
@@ -1301,7 +2918,7 @@ tryMoveTableauToFoundation(colIndex) {
       const tableauCard = this.rootElement.querySelector(
         `.klondike-card[data-location="tableau-${colIndex}"][data-card-id="${card.id}"]`
       );
-      const foundationElement = this.rootElement.querySelector(`#foundation-${foundationIndex}`);
+      const foundationElement = this.getPileElement(`foundation-${foundationIndex}`);
       
       this.animateCardMovement(tableauCard, foundationElement).then(() => {
         this.updateDisplay(0);
@@ -1322,7 +2939,7 @@ tryMoveTableauToFoundation(colIndex) {
         const tableauCard = this.rootElement.querySelector(
           `.klondike-card[data-location="tableau-${colIndex}"][data-card-id="${card.id}"]`
         );
-        const targetElement = this.rootElement.querySelector(`#tableau-${targetCol}`);
+        const targetElement = this.getPileElement(`tableau-${targetCol}`);
         
         this.animateCardMovement(tableauCard, targetElement).then(() => {
           this.updateDisplay(0);
@@ -1347,33 +2964,10 @@ tryMoveTableauToFoundation(colIndex) {
     // Try to find a valid tableau position
     for (let col = 0; col < 7; col++) {
       if (this.canMoveToTableau([card], col)) {
-        // This is a legal move from foundation back to tableau. From the
-        // player's perspective this is one logical move, so we capture a
-        // snapshot once before we mutate any piles.
-        this.captureUndoSnapshot();
-
-        // Remove from foundation
-        foundation.pop();
-        
-        // Add to tableau
-        this.gameState.tableau[col].push(card);
-        
-        // Scoring: -15 for moving from foundation to tableau
-        this.gameState.score -= 15;
-        
-        // Store move metadata for undo animations
-        this.lastMoveMeta = {
-          type: 'foundation-to-tableau',
-          fromLocation: `foundation-${foundationIndex}`,
-          toLocation: `tableau-${col}`,
-          movedCardIds: [card.id],
-          flippedCardId: null
-        };
-        
-        this.registerMove();
+        this.applyRulesMove({ type: 'move', from: `foundation-${foundationIndex}`, to: `tableau-${col}` });
         // Animate the card movement before updating display
-        const foundationCard = this.rootElement.querySelector(`#foundation-${foundationIndex} .klondike-card`);
-        const tableauElement = this.rootElement.querySelector(`#tableau-${col}`);
+        const foundationCard = this.rootElement.querySelector(`[data-pile-id="foundation-${foundationIndex}"] .klondike-card`);
+        const tableauElement = this.getPileElement(`tableau-${col}`);
         
         this.animateCardMovement(foundationCard, tableauElement).then(() => {
           this.updateDisplay(0);
@@ -1389,27 +2983,7 @@ tryMoveTableauToFoundation(colIndex) {
    * Check if cards can be moved to a tableau column
    */
   canMoveToTableau(cards, colIndex) {
-    if (!cards || cards.length === 0) return false;
-    
-    const column = this.gameState.tableau[colIndex];
-    const bottomCard = cards[0]; // The card that will be placed on the column
-    
-    if (column.length === 0) {
-      // Empty column - only Kings can be placed
-      return bottomCard.rank === 13;
-    } else {
-      const topCard = column[column.length - 1];
-      if (!topCard.faceUp) return false;
-      
-      // Must be opposite color and one rank lower
-      // Suits: 0=Hearts (red), 1=Diamonds (red), 2=Clubs (black), 3=Spades (black)
-      const topIsRed = topCard.suit === 0 || topCard.suit === 1;
-      const bottomIsRed = bottomCard.suit === 0 || bottomCard.suit === 1;
-      const isOppositeColor = topIsRed !== bottomIsRed;
-      const isOneRankLower = bottomCard.rank === topCard.rank - 1;
-      
-      return isOppositeColor && isOneRankLower;
-    }
+    return KlondikeRules.canMoveToTableau(this.gameState, cards, colIndex);
   }
 
   /**
@@ -1422,6 +2996,8 @@ tryMoveTableauToFoundation(colIndex) {
       const colIndex = parseInt(toLocation.split('-')[1]);
       return this.moveCardsToTableau(fromLocation, colIndex, cards);
     } else if (toLocation.startsWith('foundation-')) {
+      // Only a single card can go to a foundation
+      if (cards.length !== 1) return false;
       const foundationIndex = parseInt(toLocation.split('-')[1]);
       return this.moveCardToFoundation(fromLocation, foundationIndex, cards[0]);
     }
@@ -1434,70 +3010,14 @@ tryMoveTableauToFoundation(colIndex) {
    */
   moveCardsToTableau(fromLocation, toColIndex, cards) {
     if (!this.canMoveToTableau(cards, toColIndex)) return false;
-    
-    // At this point we know the move is legal and will change the game
-    // state. Capture a single snapshot so one Undo step will revert this
-    // entire move (even if it moves a whole stack).
-    this.captureUndoSnapshot();
-    
-    let flippedCardId = null;
-    
-    // Remove cards from source
-    if (fromLocation === 'waste') {
-      if (cards.length === 1 && this.gameState.waste.length > 0) {
-        this.gameState.waste.pop();
-        // Scoring: +5 for waste to tableau
-        this.gameState.score += 5;
-      }
-    } else if (fromLocation.startsWith('foundation-')) {
-      const foundationIndex = parseInt(fromLocation.split('-')[1]);
-      if (cards.length === 1 && this.gameState.foundations[foundationIndex].length > 0) {
-        this.gameState.foundations[foundationIndex].pop();
-        // Scoring: -15 for foundation to tableau
-        this.gameState.score -= 15;
-      }
-    } else if (fromLocation.startsWith('tableau-')) {
-      const fromColIndex = parseInt(fromLocation.split('-')[1]);
-      const fromColumn = this.gameState.tableau[fromColIndex];
-      
-      // Remove the dragged cards
-      fromColumn.splice(-cards.length, cards.length);
-      
-      // Reveal top card if it became face down
-      if (fromColumn.length > 0 && !fromColumn[fromColumn.length - 1].faceUp) {
-        const revealedCard = fromColumn[fromColumn.length - 1];
-        revealedCard.faceUp = true;
-        flippedCardId = revealedCard.id;
-        // Track this card for flip animation
-        this.revealedCardIds.add(revealedCard.id);
-        // Scoring: +5 for revealing a card
-        this.gameState.score += 5;
-      }
-    }
-    
-    // Add cards to destination
-    this.gameState.tableau[toColIndex].push(...cards);
-    
-    // Store move metadata for undo animations
-    let moveType;
-    if (fromLocation === 'waste') {
-      moveType = 'waste-to-tableau';
-    } else if (fromLocation.startsWith('foundation-')) {
-      moveType = 'foundation-to-tableau';
-    } else {
-      moveType = 'tableau-to-tableau';
-    }
-    
-    this.lastMoveMeta = {
-      type: moveType,
-      fromLocation,
-      toLocation: `tableau-${toColIndex}`,
-      movedCardIds: cards.map(c => c.id),
-      flippedCardId
-    };
-    
-    this.registerMove();
-    return true;
+    if (!this.areTopCards(fromLocation, cards)) return false;
+
+    return this.applyRulesMove({
+      type: 'move',
+      from: fromLocation,
+      to: `tableau-${toColIndex}`,
+      count: cards.length
+    }) !== null;
   }
 
   /**
@@ -1506,56 +3026,13 @@ tryMoveTableauToFoundation(colIndex) {
   moveCardToFoundation(fromLocation, foundationIndex, card) {
     const canMove = this.canMoveToFoundation(card);
     if (canMove !== foundationIndex) return false;
-    
-    // This is a legal move of a single card into a foundation. Capture the
-    // current state so one Undo step will roll back this entire move,
-    // including score changes and any card flips.
-    this.captureUndoSnapshot();
-    
-    let flippedCardId = null;
-    
-    // Remove card from source
-    if (fromLocation === 'waste') {
-      if (this.gameState.waste.length > 0) {
-        this.gameState.waste.pop();
-      }
-    } else if (fromLocation.startsWith('tableau-')) {
-      const colIndex = parseInt(fromLocation.split('-')[1]);
-      const column = this.gameState.tableau[colIndex];
-      if (column.length > 0) {
-        column.pop();
-        
-        // Reveal top card if it became face down
-        if (column.length > 0 && !column[column.length - 1].faceUp) {
-          const revealedCard = column[column.length - 1];
-          revealedCard.faceUp = true;
-          flippedCardId = revealedCard.id;
-          // Track this card for flip animation
-          this.revealedCardIds.add(revealedCard.id);
-          // Scoring: +5 for revealing a card
-          this.gameState.score += 5;
-        }
-      }
-    }
-    
-    // Add to foundation
-    this.gameState.foundations[foundationIndex].push(card);
-    
-    // Scoring: +10 for moving to foundation
-    this.gameState.score += 10;
-    
-    // Store move metadata for undo animations
-    this.lastMoveMeta = {
-      type: fromLocation === 'waste' ? 'waste-to-foundation' : 'tableau-to-foundation',
-      fromLocation,
-      toLocation: `foundation-${foundationIndex}`,
-      movedCardIds: [card.id],
-      flippedCardId
-    };
-    
-    this.registerMove();
-    this.checkWinCondition();
-    return true;
+    if (!this.areTopCards(fromLocation, [card])) return false;
+
+    return this.applyRulesMove({
+      type: 'move',
+      from: fromLocation,
+      to: `foundation-${foundationIndex}`
+    }) !== null;
   }
 
   /**
@@ -1563,22 +3040,146 @@ tryMoveTableauToFoundation(colIndex) {
    * Returns foundation index if valid, -1 if not
    */
   canMoveToFoundation(card) {
-    const foundation = this.gameState.foundations[card.suit];
-    
-    if (foundation.length === 0) {
-      // Can only place Ace on empty foundation
-      return card.rank === 1 ? card.suit : -1;
-    } else {
-      // Must be next rank in sequence
-      const topCard = foundation[foundation.length - 1];
-      return (card.rank === topCard.rank + 1) ? card.suit : -1;
+    return KlondikeRules.canMoveToFoundation(this.gameState, card);
+  }
+
+  /**
+   * Schedule one autoplay step after the current animations have settled.
+   *
+   * Autoplay runs as a chain: each automatic move goes through registerMove,
+   * which marks autoplay as pending again, so the next step is scheduled
+   * after that move has been rendered. The chain stops when no move is found.
+   */
+  scheduleAutoplay() {
+    if (this.autoplayMode === 'off' || this.autoplayTimer) {
+      return;
+    }
+
+    // Give revealed cards time to finish their flip before moving on
+    const delayMs = this.getAnimationDurations().flipTotalMs;
+    this.autoplayTimer = setTimeout(() => {
+      this.autoplayTimer = null;
+      this.runAutoplayStep();
+    }, delayMs);
+  }
+
+  /**
+   * Stop any scheduled autoplay step (new deal, undo, destroy, mode "off").
+   */
+  cancelAutoplay() {
+    this.autoplayPending = false;
+    if (this.autoplayTimer) {
+      clearTimeout(this.autoplayTimer);
+      this.autoplayTimer = null;
+    }
+  }
+
+  /**
+   * Perform a single automatic move to a foundation, if one is available.
+   */
+  runAutoplayStep() {
+    if (!this.rootElement || !this.gameState || this.autoplayMode === 'off') {
+      return;
+    }
+
+    // Never move cards from under the player's pointer, mid-animation or
+    // ahead of the player's queued input; try again shortly instead.
+    if (this.isAnimating || this.dragData || this.inputQueue.length > 0) {
+      this.autoplayTimer = setTimeout(() => {
+        this.autoplayTimer = null;
+        this.runAutoplayStep();
+      }, Math.max(this.animationBaseMs, 16));
+      return;
+    }
+
+    const move = this.findAutoplayMove();
+    if (!move) {
+      return;
+    }
+
+    const sourceElement = this.rootElement.querySelector(
+      `.klondike-card[data-location="${move.fromLocation}"][data-card-id="${move.card.id}"]`
+    );
+
+    // moveCardToFoundation captures the Undo snapshot, scores the move and
+    // reports it through onMove, exactly like a player-initiated move.
+    const moved = this.moveCardToFoundation(move.fromLocation, move.foundationIndex, move.card);
+    if (!moved) {
+      return;
+    }
+
+    const foundationElement = this.getPileElement(`foundation-${move.foundationIndex}`);
+    this.animateCardMovement(sourceElement, foundationElement).then(() => {
+      this.updateDisplay(0);
+    });
+  }
+
+  /**
+   * Find the next automatic foundation move for the current autoplay mode.
+   *
+   * - "obvious": a waste or tableau top card that is safe to play, or any
+   *   card once the deal is effectively won.
+   * - "won": only once the deal is effectively won (see isDealSolved).
+   *
+   * When several cards qualify, the lowest rank goes first so the finishing
+   * sequence builds the foundations evenly.
+   *
+   * Returns { fromLocation, foundationIndex, card } or null.
+   */
+  findAutoplayMove() {
+    const solved = this.isDealSolved();
+    if (this.autoplayMode === 'won' && !solved) {
+      return null;
+    }
+
+    const generator = this.getMoveGenerator();
+    if (!generator) {
+      return null;
+    }
+
+    let best = null;
+    generator.generateMoves(this.gameState, { includeStock: false }).forEach(move => {
+      if (move.foundationDelta !== 1) return;
+      const card = this.findCardById(move.cardIds[0]);
+      if (!card) return;
+      if (!solved && !this.isSafeFoundationMove(card)) return;
+      if (!best || card.rank < best.card.rank) {
+        best = {
+          fromLocation: move.from,
+          card,
+          foundationIndex: parseInt(move.to.split('-')[1], 10)
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * A foundation move is "obvious" when no tableau card could ever need the
+   * card as a landing spot (see MoveGenerationEngine.isSafeFoundationMove).
+   */
+  isSafeFoundationMove(card) {
+    const generator = this.getMoveGenerator();
+    return !!generator && generator.isSafeFoundationMove(this.gameState, card);
+  }
+
+  /**
+   * True when the deal can be finished without any decisions: stock and
+   * waste are empty and every tableau card is face up.
+   */
+  isDealSolved() {
+    if (this.gameState.stock.length > 0 || this.gameState.waste.length > 0) {
+      return false;
     }
+    return this.gameState.tableau.every(column => column.every(card => card.faceUp));
   }
 
   /**
    * Register a move and handle callbacks
+   * @param {Object} command - The move's history entry (see recordMove)
    */
-  registerMove() {
+  registerMove(command) {
     // Any real move changes the layout, so the previous hint is no longer valid.
     // Clear both the visual highlight and the stored hint description.
     this.clearHintHighlight();
@@ -1591,25 +3192,34 @@ tryMoveTableauToFoundation(colIndex) {
       }
     }
 
-    this.gameState.moveCount++;
+    this.announce(this.describeMove(command));
+
+    const moveType = command.move.type;
+    this.playSound(moveType === 'draw' || moveType === 'recycle' ? moveType : 'place');
+
+    // Let autoplay look at the new position once it has been rendered, and
+    // check whether the player has run out of moves
+    this.autoplayPending = true;
+    this.lossCheckPending = true;
 
     // Notify shell of move
-    if (this.callbacks && this.callbacks.onMove) {
-      this.callbacks.onMove({
-        moves: this.gameState.moveCount,
-        score: this.gameState.score,
-        stockCount: this.gameState.stock.length
-      });
-    }
+    this.notifyMove();
   }
 
   /**
    * Undo the last logical move, if any, using the shared UndoManager.
    *
    * This is intended to be called by the shell when the user clicks the
-   * global Undo button in the footer. It restores the previous snapshot of
-   * `gameState`, re-renders the board, and notifies the shell via `onMove`
-   * so HUD elements (moves, score, stock count) stay in sync.
+   * global Undo button in the footer. The move's command is taken back with
+   * KlondikeRules.revertMove, the board is re-rendered, and the shell is
+   * notified via `onMove` so HUD elements (moves, score, stock count) stay
+   * in sync.
+   *
+   * With animations on, every undone card move plays backwards (a card the
+   * move revealed flips face down, then the cards travel back) before the
+   * board is re-rendered; an undone draw sweeps back onto the stock and an
+   * undone recycle fans out again. The game state itself is rolled back at
+   * once, so a quick second Undo takes back the move before it.
    *
    * Returns true if a move was undone, false if there was nothing to undo or
    * UndoManager is not available.
@@ -1618,7 +3228,7 @@ tryMoveTableauToFoundation(colIndex) {
     const undoManager = this.getUndoManager();
     if (!undoManager ||
         typeof undoManager.canUndo !== 'function' ||
-        typeof undoManager.undo !== 'function') {
+        typeof undoManager.undoCommand !== 'function') {
       return false;
     }
 
@@ -1626,69 +3236,137 @@ tryMoveTableauToFoundation(colIndex) {
       return false;
     }
 
-    // Check if we have move metadata and animations are enabled
-    const hasMoveMeta = this.lastMoveMeta && this.lastMoveMeta.movedCardIds && this.lastMoveMeta.movedCardIds.length > 0;
-    const shouldAnimate = hasMoveMeta && this.animationsEnabled;
+    // Undoing must not immediately replay the same automatic move, nor
+    // input queued for the position it takes back
+    this.cancelAutoplay();
+    this.inputQueue = [];
 
-    if (!shouldAnimate) {
-      // No animation path: instant undo
-      const previousState = undoManager.undo();
-      if (!previousState) {
-        return false;
-      }
+    const command = undoManager.undoCommand();
+    const previousState = KlondikeRules.revertMove(this.gameState, command);
+    if (!previousState) {
+      // Only a history that no longer matches the board gets here
+      console.warn('🎮 Engine: Undo history does not match the deal, clearing it', command);
+      undoManager.reset();
+      return false;
+    }
+    // The time bonus of a win is not part of the move's score delta
+    if (KlondikeRules.isWon(this.gameState)) {
+      previousState.score -= this.winTimeBonus;
+    }
 
-      this.gameState = previousState;
-      this.clearHintHighlight();
-      this.currentHint = null;
-      this.lastMoveMeta = null;
-      this.updateDisplay(0);
+    // Announced before the rollback, while the description matches the board
+    this.announceUndo(command);
 
-      if (this.callbacks && typeof this.callbacks.onMove === 'function') {
-        this.callbacks.onMove({
-          moves: this.gameState.moveCount,
-          score: this.gameState.score,
-          stockCount: this.gameState.stock.length
-        });
-      }
+    this.gameState = previousState;
+    this.moveHistory.pop();
+    this.clearHintHighlight();
+    this.currentHint = null;
+    // Find out whether the undo got the player unstuck
+    this.lossCheckPending = true;
+    this.notifyMove();
 
+    if (!this.animationsEnabled) {
+      this.updateDisplay(0);
+      return true;
+    }
+
+    if (command.move.type !== 'move') {
+      this.showStockMove(command, true);
       return true;
     }
 
-    // Animated undo path: reverse animations first, then apply logical undo
-    const meta = this.lastMoveMeta;
-    
     // Step 1: If a card was flipped face-up during the forward move, flip it back down
-    const flipDownPromise = meta.flippedCardId 
-      ? this.animateCardFlipDown(meta.flippedCardId)
+    const flipDownPromise = command.flippedCardIds.length > 0
+      ? this.animateCardFlipDown(command.flippedCardIds[0])
       : Promise.resolve();
 
-    // Step 2: After flip-down completes, animate the moved card back
+    // Step 2: After flip-down completes, animate the moved cards back, then
+    // re-render to match the restored state
     flipDownPromise.then(() => {
-      // Animate the top moved card from toLocation back to fromLocation
-      const topCardId = meta.movedCardIds[0];
-      return this.animateReversedMove(meta.toLocation, meta.fromLocation, topCardId);
+      return this.animateReversedMove(command.to, command.from, command.cardIds[0]);
     }).then(() => {
-      // Step 3: After animations complete, perform logical undo
-      const previousState = undoManager.undo();
-      if (!previousState) {
-        return false;
+      if (this.rootElement) {
+        this.updateDisplay(0);
       }
+    });
+
+    return true;
+  }
+
+  /**
+   * Announce an undo. Called before the state is rolled back, while the
+   * move description still matches the board.
+   */
+  announceUndo(command) {
+    this.announce(command ? `Undid: ${this.describeMove(command)}` : 'Move undone.');
+  }
+
+  /**
+   * Redo the most recently undone move, if any.
+   *
+   * The counterpart of `undoLastMove()`: the shell calls it from the Redo
+   * button or Ctrl+Shift+Z / Ctrl+Y. The undone command's move is applied
+   * again; with animations on, a card move travels to its destination again
+   * and a card revealed by the move flips face-up, and stock moves show as
+   * they did the first time.
+   *
+   * Redo never triggers autoplay; otherwise the automatic move would clear
+   * the rest of the redo stack.
+   *
+   * Returns true if a move was redone, false if there was nothing to redo or
+   * UndoManager is not available.
+   */
+  redoLastMove() {
+    const undoManager = this.getUndoManager();
+    if (!undoManager ||
+        typeof undoManager.canRedo !== 'function' ||
+        typeof undoManager.redoCommand !== 'function') {
+      return false;
+    }
+
+    if (!undoManager.canRedo()) {
+      return false;
+    }
+
+    this.cancelAutoplay();
+    this.inputQueue = [];
+
+    const command = undoManager.redoCommand();
+    const result = KlondikeRules.applyMove(this.gameState, command.move);
+    if (!result) {
+      console.warn('🎮 Engine: Redo history does not match the deal, clearing it', command);
+      undoManager.reset();
+      return false;
+    }
 
-      this.gameState = previousState;
-      this.clearHintHighlight();
-      this.currentHint = null;
-      this.lastMoveMeta = null;
+    this.gameState = result.state;
+    // Winning again restores the bonus the undo took away; onWin has fired
+    if (result.won) {
+      this.gameState.score += this.winTimeBonus;
+    }
+    this.moveHistory.push(command);
+    this.clearHintHighlight();
+    this.currentHint = null;
+    if (command.flippedCardIds.length > 0 && this.animationsEnabled) {
+      this.revealedCardIds.add(command.flippedCardIds[0]);
+    }
+    this.notifyMove();
+    this.announce(`Redid: ${this.describeMove(command)}`);
 
-      // Re-render to match the restored state
+    if (!this.animationsEnabled) {
       this.updateDisplay(0);
+      return true;
+    }
 
-      // Sync shell HUD
-      if (this.callbacks && typeof this.callbacks.onMove === 'function') {
-        this.callbacks.onMove({
-          moves: this.gameState.moveCount,
-          score: this.gameState.score,
-          stockCount: this.gameState.stock.length
-        });
+    if (command.move.type !== 'move') {
+      this.showStockMove(command, false);
+      return true;
+    }
+
+    // Replay the forward move: animate the moved cards to where they went
+    this.animateReversedMove(command.from, command.to, command.cardIds[0]).then(() => {
+      if (this.rootElement) {
+        this.updateDisplay(0);
       }
     });
 
@@ -1699,25 +3377,77 @@ tryMoveTableauToFoundation(colIndex) {
    * Check if the game is won (all cards in foundations)
    */
   checkWinCondition() {
-    const totalInFoundations = this.gameState.foundations.reduce((sum, pile) => sum + pile.length, 0);
-    
-    if (totalInFoundations === 52) {
+    if (KlondikeRules.isWon(this.gameState)) {
       // Game is won!
       let timeSeconds = 0;
       if (this.firstMoveTimestamp) {
         timeSeconds = Math.floor((Date.now() - this.firstMoveTimestamp) / 1000);
       }
 
+      // Time bonus (standard scoring only)
+      let timeBonus = 0;
+      const scoring = this.getScoring();
+      if (scoring) {
+        timeBonus = scoring.getMode(this.gameState.scoringMode).winBonus(timeSeconds);
+        this.gameState.score += timeBonus;
+        this.winTimeBonus = timeBonus;
+        this.saveBankroll();
+      }
+
+      this.announce(`You won in ${this.gameState.moveCount} moves!`);
+      this.playSound('win');
+
       if (this.callbacks && this.callbacks.onWin) {
         this.callbacks.onWin({
           moves: this.gameState.moveCount,
-          score: this.gameState.score,
+          score: this.getReportedScore(),
+          scoringMode: this.gameState.scoringMode,
+          timeBonus: timeBonus,
           timeSeconds: timeSeconds
         });
       }
     }
   }
 
+  /**
+   * Check if the game is lost: no productive moves are left, counting the
+   * cards the stock can still bring up (see
+   * MoveGenerationEngine.findProductiveMove). Reports it through onLoss once
+   * per stuck position; the player may still undo, so the deal itself stays
+   * as it is.
+   */
+  checkLossCondition() {
+    const generator = this.getMoveGenerator();
+    if (!generator || !this.gameState || this.isFindingDeal || KlondikeRules.isWon(this.gameState)) {
+      return;
+    }
+    if (generator.findProductiveMove(this.gameState)) {
+      this.lossReported = false;
+      return;
+    }
+    if (this.lossReported) {
+      return;
+    }
+    this.lossReported = true;
+
+    let timeSeconds = 0;
+    if (this.firstMoveTimestamp) {
+      timeSeconds = Math.floor((Date.now() - this.firstMoveTimestamp) / 1000);
+    }
+
+    console.log('🎮 Engine: No productive moves left');
+    this.announce('No more moves.');
+
+    if (this.callbacks && this.callbacks.onLoss) {
+      this.callbacks.onLoss({
+        moves: this.gameState.moveCount,
+        score: this.getReportedScore(),
+        scoringMode: this.gameState.scoringMode,
+        timeSeconds: timeSeconds
+      });
+    }
+  }
+
   /**
    * Update the visual display of all game elements with optional animation delay
    * @param {number} delayMs - Optional delay before updating display (for animations)
@@ -1736,19 +3466,41 @@ tryMoveTableauToFoundation(colIndex) {
    * Internal: perform the actual display update
    */
   _performDisplayUpdate() {
+    this.applyMotionClasses();
+
     this.updateStockAndWaste();
     this.updateFoundations();
     this.updateTableau();
+    this.updatePileLabels();
+    this.applyKeyboardCursor();
+
+    // A render during a drag (an animation skipped by the drag finishing)
+    // must keep the picked-up cards hidden under the floating stack
+    if (this.dragData) {
+      if (this.dragData.sourceType === 'tableau') {
+        this.hideTableauCards(this.dragData.colIndex, this.dragData.cardIndex);
+      } else {
+        this.hideNonTableauCard(this.cardElements.get(this.dragData.cardId));
+      }
+    }
     
-    // Reattach event listeners to new cards on next frame
     requestAnimationFrame(() => {
-      this.attachCardEventListeners();
-      
       // Animate any newly revealed cards
       this.animateRevealedCards();
       
       // Clear the revealed cards set for the next move
       this.revealedCardIds.clear();
+      
+      // Look for automatic foundation moves in the newly rendered position
+      if (this.autoplayPending) {
+        this.autoplayPending = false;
+        this.scheduleAutoplay();
+      }
+
+      if (this.lossCheckPending) {
+        this.lossCheckPending = false;
+        this.checkLossCondition();
+      }
     });
   }
 
@@ -1761,6 +3513,8 @@ tryMoveTableauToFoundation(colIndex) {
       return;
     }
 
+    this.playSound('flip');
+
     const durations = this.getAnimationDurations();
     
     // Short-circuit: if animations are disabled, just add .is-face-up immediately
@@ -1776,11 +3530,7 @@ tryMoveTableauToFoundation(colIndex) {
       return;
     }
     
-    // Set animation flag to prevent user interactions during flip animations
-    // Track number of pending flips for proper state management
-    let pendingFlips = this.revealedCardIds.size;
-    this.isFlipAnimating = true;
-
+    const innerElements = [];
     this.revealedCardIds.forEach(cardId => {
       // Find the card element in the DOM
       const cardElement = this.rootElement.querySelector(
@@ -1792,93 +3542,115 @@ tryMoveTableauToFoundation(colIndex) {
         const innerElement = cardElement.querySelector('.klondike-card-inner');
         if (innerElement) {
           innerElement.style.transition = `transform ${durations.flipTotalMs}ms ease-in-out`;
+          innerElements.push(innerElement);
         }
         
         // Add .is-face-up class to trigger CSS rotation from back (180deg) to front (0deg)
         cardElement.classList.add('is-face-up');
-        
-        // Clear animation flag after flip completes
-        setTimeout(() => {
-          pendingFlips--;
-          if (pendingFlips === 0) {
-            this.isFlipAnimating = false;
-          }
-        }, durations.flipTotalMs);
-      } else {
-        // Card element not found, decrement counter immediately
-        pendingFlips--;
-        if (pendingFlips === 0) {
-          this.isFlipAnimating = false;
-        }
       }
     });
+    if (innerElements.length === 0) {
+      return;
+    }
+
+    // Set animation flag to prevent user interactions during flip
+    // animations, and clear it after they complete, or turn the cards at
+    // once when fast-forwarded
+    this.isFlipAnimating = true;
+    let endTimer = null;
+    const finish = this.trackAnimation(() => {
+      clearTimeout(endTimer);
+      if (this.isFastForwarding) {
+        this.skipTransitions(innerElements);
+      }
+      this.isFlipAnimating = false;
+    });
+    endTimer = setTimeout(finish, durations.flipTotalMs);
+  }
+
+  /**
+   * Internal helper: end the CSS transitions running on `elements` at
+   * their end value, keeping their transition for next time
+   */
+  skipTransitions(elements) {
+    const transitions = elements.map(element => element.style.transition);
+    elements.forEach(element => {
+      element.style.transition = 'none';
+    });
+    if (elements.length > 0) {
+      void elements[0].offsetWidth;
+    }
+    elements.forEach((element, i) => {
+      element.style.transition = transitions[i];
+    });
   }
 
   /**
    * Update stock and waste piles display
    */
   updateStockAndWaste() {
-    const stockPile = this.rootElement.querySelector('#stock-pile');
-    const wastePile = this.rootElement.querySelector('#waste-pile');
+    const stockPile = this.getPileElement('stock-pile');
+    const wastePile = this.getPileElement('waste-pile');
 
-    // Update stock
-    stockPile.innerHTML = '';
+    // The stock shows a single card back; its cards are not played from
+    // there, so they have no elements of their own
+    let stockElement;
     if (this.gameState.stock.length > 0) {
-      const stockCard = document.createElement('div');
-      stockCard.className = 'klondike-card'; // No .is-face-up = shows back
-      stockCard.innerHTML = `
-        <div class="klondike-card-inner">
-          <div class="klondike-card-face klondike-card-face-back">
-            <div class="klondike-card-back-pattern">🂠</div>
-          </div>
-          <div class="klondike-card-face klondike-card-face-front">
-            <div class="klondike-card-content">
-              <div class="klondike-card-rank"></div>
-              <div class="klondike-card-suit"></div>
+      stockElement = this.renderPileElement('stock-back', () => {
+        const stockCard = document.createElement('div');
+        stockCard.className = 'klondike-card'; // No .is-face-up = shows back
+        stockCard.setAttribute('role', 'option');
+        stockCard.setAttribute('aria-label', 'Face-down card, stock');
+        stockCard.innerHTML = `
+          <div class="klondike-card-inner">
+            <div class="klondike-card-face klondike-card-face-back">
+              <div class="klondike-card-back-pattern">🂠</div>
+            </div>
+            <div class="klondike-card-face klondike-card-face-front">
+              <div class="klondike-card-content">
+                <div class="klondike-card-rank"></div>
+                <div class="klondike-card-suit"></div>
+              </div>
             </div>
           </div>
-        </div>
-      `;
-      stockPile.appendChild(stockCard);
+        `;
+        return stockCard;
+      });
+    } else if (this.canRecycleWaste()) {
+      stockElement = this.renderPlaceholder('stock-recycle', 'klondike-card-placeholder', '↻');
     } else {
-      stockPile.innerHTML = '<div class="klondike-card-placeholder">↻</div>';
+      // Nothing left to draw and no passes left (or nothing to recycle)
+      stockElement = this.renderPlaceholder('stock-exhausted', 'klondike-card-placeholder klondike-stock-exhausted', 'Stock');
     }
+    this.reconcilePile(stockPile, [stockElement]);
 
-    // Update waste (show top 3 cards)
-    wastePile.innerHTML = '';
-    if (this.gameState.waste.length > 0) {
-      const visibleCards = this.gameState.waste.slice(-3); // Show last 3 cards
-      visibleCards.forEach((card, index) => {
-        const cardElement = this.createCardElement(card, 'waste');
-        cardElement.style.position = 'absolute';
-        cardElement.style.left = `${index * 15}px`;
-        cardElement.style.zIndex = index;
-        if (index === visibleCards.length - 1) {
-          cardElement.classList.add('klondike-card-active');
-        }
-        wastePile.appendChild(cardElement);
-      });
-    }
+    // Update waste (fan the last 3 cards in draw-3, only the top card in draw-1)
+    const visibleCount = this.gameState.rules.drawCount === 1 ? 1 : 3;
+    const visibleCards = this.gameState.waste.slice(-visibleCount);
+    this.reconcilePile(wastePile, visibleCards.map((card, index) => {
+      const cardElement = this.renderCard(card, 'waste');
+      cardElement.style.position = 'absolute';
+      cardElement.style.left = `${index * 15}px`;
+      cardElement.style.zIndex = index;
+      if (index === visibleCards.length - 1) {
+        cardElement.classList.add('klondike-card-active');
+      }
+      return cardElement;
+    }));
   }
 
   /**
    * Update foundation piles display
    */
   updateFoundations() {
+    const suitSymbols = ['♥', '♦', '♣', '♠'];
     for (let i = 0; i < 4; i++) {
-      const foundationElement = this.rootElement.querySelector(`#foundation-${i}`);
+      const foundationElement = this.getPileElement(`foundation-${i}`);
       const pile = this.gameState.foundations[i];
-      
-      foundationElement.innerHTML = '';
-      
-      if (pile.length > 0) {
-        const topCard = pile[pile.length - 1];
-        const cardElement = this.createCardElement(topCard, `foundation-${i}`);
-        foundationElement.appendChild(cardElement);
-      } else {
-        const suitSymbols = ['♥', '♦', '♣', '♠'];
-        foundationElement.innerHTML = `<div class="klondike-card-placeholder">${suitSymbols[i]}</div>`;
-      }
+
+      this.reconcilePile(foundationElement, [pile.length > 0
+        ? this.renderCard(pile[pile.length - 1], `foundation-${i}`)
+        : this.renderPlaceholder(`foundation-${i}`, 'klondike-card-placeholder', suitSymbols[i])]);
     }
   }
 
@@ -1887,33 +3659,101 @@ tryMoveTableauToFoundation(colIndex) {
    */
   updateTableau() {
     for (let col = 0; col < 7; col++) {
-      const columnElement = this.rootElement.querySelector(`#tableau-${col}`);
+      const columnElement = this.getPileElement(`tableau-${col}`);
       const column = this.gameState.tableau[col];
-      
-      columnElement.innerHTML = '';
-      
+
       if (column.length === 0) {
-        columnElement.innerHTML = '<div class="klondike-card-placeholder klondike-empty-tableau"></div>';
-      } else {
-        column.forEach((card, index) => {
-          // If this card was just revealed, render it as face-down initially
-          // The flip animation will change it to face-up
-          let cardToRender = card;
-          if (this.revealedCardIds.has(card.id) && card.faceUp) {
-            // Create a temporary face-down version for rendering
-            cardToRender = { ...card, faceUp: false };
-          }
-          
-          const cardElement = this.createCardElement(cardToRender, `tableau-${col}`);
-          cardElement.style.position = 'absolute';
-          cardElement.style.top = `${index * 20}px`;
-          cardElement.style.zIndex = index;
-          columnElement.appendChild(cardElement);
-        });
+        this.reconcilePile(columnElement, [
+          this.renderPlaceholder(`tableau-${col}`, 'klondike-card-placeholder klondike-empty-tableau', '')
+        ]);
+        continue;
+      }
+
+      this.reconcilePile(columnElement, column.map((card, index) => {
+        // If this card was just revealed, render it as face-down initially
+        // The flip animation will change it to face-up
+        const faceUp = card.faceUp && !this.revealedCardIds.has(card.id);
+        const cardElement = this.renderCard(card, `tableau-${col}`, faceUp);
+        cardElement.style.position = 'absolute';
+        cardElement.style.top = `${index * 20}px`;
+        cardElement.style.zIndex = index;
+        return cardElement;
+      }));
+    }
+  }
+
+  /**
+   * Internal helper: make `elements` the children of `pileElement`, in
+   * order. Elements already in place are left alone; others are moved in
+   * (from another pile, or from off the board), and anything else is
+   * removed. Removed card elements stay in `cardElements` for reuse.
+   */
+  reconcilePile(pileElement, elements) {
+    elements.forEach((element, index) => {
+      if (pileElement.children[index] !== element) {
+        pileElement.insertBefore(element, pileElement.children[index] || null);
       }
+    });
+    while (pileElement.children.length > elements.length) {
+      pileElement.lastElementChild.remove();
     }
   }
 
+  /**
+   * Internal helper: the element for `card`, created on first use and kept
+   * for later renders, patched to show the card at `location` (face up or
+   * down as given, by default as in the state). Classes and inline styles
+   * left by earlier renders, drags or animations are reset.
+   */
+  renderCard(card, location, faceUp = card.faceUp) {
+    let cardElement = this.cardElements.get(card.id);
+    if (!cardElement) {
+      cardElement = this.createCardElement(card, location);
+      this.cardElements.set(card.id, cardElement);
+    }
+    this.patchCardElement(cardElement, card, location, faceUp);
+    return cardElement;
+  }
+
+  /**
+   * Internal helper: a kept element that is not a card (stock back,
+   * placeholders), made by `create` on first use
+   */
+  renderPileElement(key, create) {
+    let element = this.pileElements.get(key);
+    if (!element) {
+      element = create();
+      this.pileElements.set(key, element);
+    }
+    return element;
+  }
+
+  /**
+   * Internal helper: a kept placeholder element for an empty pile
+   */
+  renderPlaceholder(key, className, text) {
+    return this.renderPileElement(`placeholder-${key}`, () => {
+      const placeholder = document.createElement('div');
+      placeholder.className = className;
+      placeholder.setAttribute('aria-hidden', 'true');
+      placeholder.textContent = text;
+      return placeholder;
+    });
+  }
+
+  /**
+   * Internal helper: forget every kept element, so the next render builds
+   * the board afresh. Used when a whole new position is shown (new deal,
+   * loaded game), where cards should not flip or slide from where they
+   * were in the old one.
+   */
+  clearRenderedElements() {
+    this.cardElements.forEach(element => element.remove());
+    this.cardElements.clear();
+    this.pileElements.forEach(element => element.remove());
+    this.pileElements.clear();
+  }
+
   /**
    * Create a visual card element
    */
@@ -1923,10 +3763,18 @@ tryMoveTableauToFoundation(colIndex) {
     const rankNames = ['', 'A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
     
     const cardElement = document.createElement('div');
-    // Add .is-face-up class if card is face up in game state
-    cardElement.className = `klondike-card${card.faceUp ? ' is-face-up' : ''}`;
     cardElement.dataset.cardId = card.id;
-    cardElement.dataset.location = location;
+
+    // Ids let a pile point at its active card (aria-activedescendant).
+    // They carry the engine's prefix, so a second board on the page (the
+    // replay viewer) has ids of its own. Floating drag copies stay
+    // anonymous.
+    if (location !== 'floating') {
+      cardElement.id = `${this.domIdPrefix}-${card.id}`;
+      cardElement.setAttribute('role', 'option');
+    } else {
+      cardElement.setAttribute('aria-hidden', 'true');
+    }
 
     // Two-face structure: both back and front always present
     cardElement.innerHTML = `
@@ -1943,13 +3791,194 @@ tryMoveTableauToFoundation(colIndex) {
       </div>
     `;
 
+    this.patchCardElement(cardElement, card, location, card.faceUp);
     return cardElement;
   }
 
+  /**
+   * Internal helper: bring a card element up to date: face, location,
+   * accessible name and whether it can be dragged. Everything else a
+   * previous render, drag or animation may have left on it is cleared.
+   */
+  patchCardElement(cardElement, card, location, faceUp) {
+    // Add .is-face-up class if card is face up in game state
+    cardElement.className = `klondike-card${faceUp ? ' is-face-up' : ''}`;
+    cardElement.dataset.location = location;
+    cardElement.removeAttribute('style');
+    cardElement.removeAttribute('aria-selected');
+
+    if (location === 'floating') {
+      return;
+    }
+    cardElement.setAttribute('aria-label', faceUp
+      ? `${this.describeCard(card)}, face up, ${this.describeLocation(location)}`
+      : `Face-down card, ${this.describeLocation(location)}`);
+    // A card that is being revealed can be dragged as soon as it has flipped
+    cardElement.draggable = !this.viewOnly && card.faceUp && this.isCardDraggable(cardElement);
+  }
+
+  /**
+   * Spoken name of a card, e.g. "7 of hearts" or "Queen of spades"
+   */
+  describeCard(card) {
+    if (!card) return '';
+    const rankNames = ['', 'Ace', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'Jack', 'Queen', 'King'];
+    const suitNames = ['hearts', 'diamonds', 'clubs', 'spades'];
+    return `${rankNames[card.rank]} of ${suitNames[card.suit]}`;
+  }
+
+  /**
+   * Spoken name of a location, e.g. "tableau column 3" or "hearts foundation"
+   * @param {string} location - 'stock', 'waste', 'foundation-N' or 'tableau-N'
+   */
+  describeLocation(location) {
+    const suitNames = ['hearts', 'diamonds', 'clubs', 'spades'];
+    if (location.startsWith('tableau-')) {
+      return `tableau column ${parseInt(location.split('-')[1]) + 1}`;
+    }
+    if (location.startsWith('foundation-')) {
+      return `${suitNames[parseInt(location.split('-')[1])]} foundation`;
+    }
+    return location;
+  }
+
+  /**
+   * Describe a move from its history entry (see recordMove), for
+   * announcements. Cards are looked up on the board, so describe a draw
+   * while the drawn cards are still on the waste.
+   */
+  describeMove(command) {
+    if (!command) return '';
+
+    if (command.move.type === 'draw') {
+      const topCard = this.findCardById(command.cardIds[command.cardIds.length - 1]);
+      return `Drew ${this.describeCard(topCard)}.`;
+    }
+    if (command.move.type === 'recycle') {
+      return 'Turned the waste over to the stock.';
+    }
+
+    const card = this.findCardById(command.cardIds[0]);
+    const extra = command.cardIds.length > 1
+      ? ` and ${command.cardIds.length - 1} more ${command.cardIds.length === 2 ? 'card' : 'cards'}`
+      : '';
+    let text = `${this.describeCard(card)}${extra} from ${this.describeLocation(command.from)} to ${this.describeLocation(command.to)}`;
+    if (command.flippedCardIds.length > 0) {
+      text += `, revealing ${this.describeCard(this.findCardById(command.flippedCardIds[0]))}`;
+    }
+    return `${text}.`;
+  }
+
+  /**
+   * Describe a hint returned by `computeHintMoves`, for announcements.
+   * `position` ({ index, total }) numbers the hint when there are several.
+   */
+  describeHint(move, position = null) {
+    const prefix = position ? `Hint ${position.index + 1} of ${position.total}` : 'Hint';
+    if (move.type === 'draw') {
+      return `${prefix}: draw from the stock.`;
+    }
+    if (move.type === 'recycle') {
+      return `${prefix}: turn the waste over into the stock.`;
+    }
+
+    const fromLocation = move.from.zone === 'tableau' ? `tableau-${move.from.colIndex}` : move.from.zone;
+    const toLocation = move.to.zone === 'tableau'
+      ? `tableau-${move.to.colIndex}`
+      : `foundation-${move.to.foundationIndex}`;
+    const card = this.findCardById(move.from.cardId);
+    const extra = move.from.count > 1
+      ? ` and ${move.from.count - 1} more ${move.from.count === 2 ? 'card' : 'cards'}`
+      : '';
+    return `${prefix}: move ${this.describeCard(card)}${extra} from ${this.describeLocation(fromLocation)} to ${this.describeLocation(toLocation)}.`;
+  }
+
+  /**
+   * Announce a message through the board's aria-live region.
+   *
+   * Messages from the same task (a move and the win it causes) are joined
+   * into one announcement. The region is emptied first so that repeating
+   * the same message is still read out.
+   */
+  announce(message) {
+    if (!message || !this.rootElement) return;
+
+    this.pendingAnnouncements.push(message);
+    if (this.announceTimer) return;
+
+    const liveRegion = this.rootElement.querySelector('.klondike-announcer');
+    if (liveRegion) liveRegion.textContent = '';
+
+    this.announceTimer = setTimeout(() => {
+      this.announceTimer = null;
+      const text = this.pendingAnnouncements.join(' ');
+      this.pendingAnnouncements = [];
+      const region = this.rootElement && this.rootElement.querySelector('.klondike-announcer');
+      if (region) region.textContent = text;
+    }, 50);
+  }
+
+  /**
+   * Refresh the accessible names of the piles after a render
+   */
+  updatePileLabels() {
+    const countText = (count) => count === 0 ? 'empty' : `${count} ${count === 1 ? 'card' : 'cards'}`;
+    const setLabel = (pileId, label) => {
+      const element = this.getPileElement(pileId);
+      if (element) element.setAttribute('aria-label', label);
+    };
+
+    const stockCount = this.gameState.stock.length;
+    setLabel('stock-pile', stockCount === 0 && this.canRecycleWaste()
+      ? 'Stock, empty, select to turn the waste over'
+      : `Stock, ${countText(stockCount)}`);
+
+    const waste = this.gameState.waste;
+    setLabel('waste-pile', waste.length === 0
+      ? 'Waste, empty'
+      : `Waste, ${countText(waste.length)}, top card ${this.describeCard(waste[waste.length - 1])}`);
+
+    this.gameState.foundations.forEach((pile, i) => {
+      const location = this.describeLocation(`foundation-${i}`);
+      const name = `${location.charAt(0).toUpperCase()}${location.slice(1)}`;
+      setLabel(`foundation-${i}`, pile.length === 0
+        ? `${name}, empty`
+        : `${name}, ${countText(pile.length)}, top card ${this.describeCard(pile[pile.length - 1])}`);
+    });
+
+    this.gameState.tableau.forEach((column, i) => {
+      const faceDown = column.filter(card => !card.faceUp).length;
+      const name = this.describeLocation(`tableau-${i}`);
+      setLabel(`tableau-${i}`, `${name.charAt(0).toUpperCase()}${name.slice(1)}, ${countText(column.length)}${faceDown > 0 ? `, ${faceDown} face down` : ''}`);
+    });
+  }
+
   /**
    * Clean up and remove the game
    */
   destroy() {
+    this.cancelAutoplay();
+    this.inputQueue = [];
+    this.cancelDealSearch();
+    if (this.solverWorker) {
+      this.solverWorker.terminate();
+      this.solverWorker = null;
+    }
+    if (this.announceTimer) {
+      clearTimeout(this.announceTimer);
+      this.announceTimer = null;
+    }
+    if (this.hintMessageTimer) {
+      clearTimeout(this.hintMessageTimer);
+      this.hintMessageTimer = null;
+    }
+    this.hintCycle = null;
+    this.pendingAnnouncements = [];
+    this.endPointerPress();
+    if (this.dragData) {
+      this.cleanupDragVisuals(false);
+    }
+
     // Remove all event listeners
     this.eventListeners.forEach(({ element, event, handler }) => {
       if (element && typeof element.removeEventListener === 'function') {
@@ -1962,6 +3991,8 @@ tryMoveTableauToFoundation(colIndex) {
     if (this.rootElement) {
       this.rootElement.innerHTML = '';
     }
+    this.cardElements.clear();
+    this.pileElements.clear();
 
     // Reset internal state
     this.rootElement = null;
@@ -1973,7 +4004,10 @@ tryMoveTableauToFoundation(colIndex) {
   }
 
   /**
-   * Animate a card from source element to destination element
+   * Animate a card from source element to destination element. A tableau
+   * card takes the cards stacked on it along, so a run moves as one stack.
+   * With reduced motion the cards cross-fade from their place to the
+   * destination instead of travelling there.
    * @param {HTMLElement} sourceElement - The card element at its current position
    * @param {HTMLElement} destElement - The destination pile/column element
    * @returns {Promise} Resolves when animation is logically complete (may be before visual finish for overlap)
@@ -2000,7 +4034,7 @@ tryMoveTableauToFoundation(colIndex) {
       let offsetX, offsetY;
       
       // Check if destination is a tableau column
-      if (destElement.id && destElement.id.startsWith('tableau-')) {
+      if ((destElement.dataset.pileId || '').startsWith('tableau-')) {
         // For tableau columns, compute the exact future stacked position
         const columnRect = destElement.getBoundingClientRect();
         const cardsInColumn = destElement.querySelectorAll('.klondike-card');
@@ -2027,49 +4061,109 @@ tryMoveTableauToFoundation(colIndex) {
         offsetY = destRect.top - sourceRect.top;
       }
 
-      // Hide the source element immediately - it's being moved
-      sourceElement.style.opacity = '0';
-      sourceElement.style.visibility = 'hidden';
+      // The cards stacked on a tableau card move with it: its later siblings
+      // in the column
+      const movingElements = [sourceElement];
+      if ((sourceElement.dataset.location || '').startsWith('tableau-')) {
+        let sibling = sourceElement.nextElementSibling;
+        while (sibling) {
+          if (sibling.classList.contains('klondike-card')) {
+            movingElements.push(sibling);
+          }
+          sibling = sibling.nextElementSibling;
+        }
+      }
 
-      // Clone the card element to animate it
-      const animatedCard = sourceElement.cloneNode(true);
-      animatedCard.className = `klondike-card ${sourceElement.className}`;
-      animatedCard.style.position = 'fixed';
-      animatedCard.style.left = sourceRect.left + 'px';
-      animatedCard.style.top = sourceRect.top + 'px';
-      animatedCard.style.width = sourceRect.width + 'px';
-      animatedCard.style.height = sourceRect.height + 'px';
-      animatedCard.style.zIndex = '9999';
-      animatedCard.style.pointerEvents = 'none';
-      animatedCard.style.transition = `all ${durations.moveDurationMs}ms cubic-bezier(0.25, 0.46, 0.45, 0.94)`;
-      // Make sure animated card is fully visible
-      animatedCard.style.opacity = '1';
-      animatedCard.style.visibility = 'visible';
+      // Append to document body, or to the dialog the board is shown in:
+      // only the top layer is visible behind a modal dialog
+      const layer = this.rootElement.closest('dialog') || document.body;
+
+      const reducedMotion = this.isReducedMotion;
+      const transition = reducedMotion
+        ? `opacity ${durations.moveDurationMs}ms ease-in-out`
+        : `all ${durations.moveDurationMs}ms cubic-bezier(0.25, 0.46, 0.45, 0.94)`;
+
+      // Clone each card and hide the original - it's being moved. The
+      // clones keep their offsets from the source card, so the stack
+      // travels as one.
+      const animatedCards = movingElements.map((element, index) => {
+        const rect = element === sourceElement ? sourceRect : element.getBoundingClientRect();
+        element.style.opacity = '0';
+        element.style.visibility = 'hidden';
+
+        const animatedCard = element.cloneNode(true);
+        animatedCard.removeAttribute('id');
+        animatedCard.setAttribute('aria-hidden', 'true');
+        animatedCard.className = `klondike-card ${element.className}`;
+        animatedCard.style.position = 'fixed';
+        animatedCard.style.left = rect.left + 'px';
+        animatedCard.style.top = rect.top + 'px';
+        animatedCard.style.width = rect.width + 'px';
+        animatedCard.style.height = rect.height + 'px';
+        animatedCard.style.zIndex = String(9999 + index);
+        animatedCard.style.pointerEvents = 'none';
+        animatedCard.style.transition = transition;
+        // Make sure animated card is fully visible
+        animatedCard.style.opacity = '1';
+        animatedCard.style.visibility = 'visible';
+
+        layer.appendChild(animatedCard);
+        return { animatedCard, rect };
+      });
 
-      // Append to document body
-      document.body.appendChild(animatedCard);
+      // Reduced motion: a second, transparent set of clones waits at the
+      // destination and fades in as the first fades out
+      const arrivingCards = reducedMotion ? animatedCards.map(({ animatedCard, rect }) => {
+        const arrivingCard = animatedCard.cloneNode(true);
+        arrivingCard.style.left = (rect.left + offsetX) + 'px';
+        arrivingCard.style.top = (rect.top + offsetY) + 'px';
+        arrivingCard.style.opacity = '0';
+        layer.appendChild(arrivingCard);
+        return arrivingCard;
+      }) : [];
+
+      // Remove animated cards after full animation completes, or when it
+      // is fast-forwarded
+      let resolveTimer = null;
+      let endTimer = null;
+      const finish = this.trackAnimation(() => {
+        clearTimeout(resolveTimer);
+        clearTimeout(endTimer);
+        animatedCards.forEach(({ animatedCard }) => animatedCard.remove());
+        arrivingCards.forEach(arrivingCard => arrivingCard.remove());
+        // Clear animation flag to allow user interactions
+        this.isMoveAnimating = false;
+        resolve();
+      });
 
       // Trigger animation on next frame
       requestAnimationFrame(() => {
-        animatedCard.style.left = (sourceRect.left + offsetX) + 'px';
-        animatedCard.style.top = (sourceRect.top + offsetY) + 'px';
-        animatedCard.style.transform = 'scale(0.95)';
+        if (!this.runningAnimations.has(finish)) return;
+        if (reducedMotion) {
+          animatedCards.forEach(({ animatedCard }) => {
+            animatedCard.style.opacity = '0';
+          });
+          arrivingCards.forEach(arrivingCard => {
+            arrivingCard.style.opacity = '1';
+          });
+        } else {
+          animatedCards.forEach(({ animatedCard, rect }) => {
+            animatedCard.style.left = (rect.left + offsetX) + 'px';
+            animatedCard.style.top = (rect.top + offsetY) + 'px';
+            animatedCard.style.transform = 'scale(0.95)';
+          });
+        }
 
         // Resolve promise at 75% of movement to allow flip to start while card is still moving
         // This creates visual overlap between movement and flip for smoother perceived action
         const resolveTime = Math.floor(durations.moveDurationMs * 0.75);
         
-        setTimeout(() => {
+        resolveTimer = setTimeout(() => {
           // Logical completion: flip animation can start now
           resolve();
         }, resolveTime);
         
-        // Remove animated card after full animation completes
-        setTimeout(() => {
-          animatedCard.remove();
-          // Clear animation flag to allow user interactions
-          this.isMoveAnimating = false;
-        }, durations.moveDurationMs);
+        endTimer = setTimeout(finish, durations.moveDurationMs);
       });
     });
   }
@@ -2080,9 +4174,9 @@ tryMoveTableauToFoundation(colIndex) {
    */
   getDestinationElement(toLocation) {
     if (toLocation.startsWith('foundation-')) {
-      return this.rootElement.querySelector(`#${toLocation}`);
+      return this.getPileElement(toLocation);
     } else if (toLocation.startsWith('tableau-')) {
-      return this.rootElement.querySelector(`#${toLocation}`);
+      return this.getPileElement(toLocation);
     }
     return null;
   }
@@ -2124,11 +4218,18 @@ tryMoveTableauToFoundation(colIndex) {
       // Remove .is-face-up to trigger CSS rotation back to 180deg (face-down)
       cardElement.classList.remove('is-face-up');
       
-      // Clear animation flag after flip completes
-      setTimeout(() => {
+      // Clear animation flag after flip completes, or turn the card at once
+      // when fast-forwarded
+      let endTimer = null;
+      const finish = this.trackAnimation(() => {
+        clearTimeout(endTimer);
+        if (this.isFastForwarding && innerElement) {
+          this.skipTransitions([innerElement]);
+        }
         this.isFlipAnimating = false;
         resolve();
-      }, durations.flipTotalMs);
+      });
+      endTimer = setTimeout(finish, durations.flipTotalMs);
     });
   }
 
@@ -2156,6 +4257,182 @@ tryMoveTableauToFoundation(colIndex) {
     // Reuse existing animateCardMovement - it handles all the visual logic
     return this.animateCardMovement(sourceElement, destElement);
   }
+
+  /**
+   * Internal helper: show a stock move (a draw or a recycle, or the undo of
+   * one) on a board that still shows the position before it. Cards going
+   * to the stock sweep there before the board is re-rendered; cards coming
+   * from it are re-rendered first and then fan out into the waste.
+   * @param {Object} command - The move's command (see recordMove)
+   * @param {boolean} reversed - True when the move is being undone
+   * @returns {Promise} Resolves when the board shows the new position
+   */
+  showStockMove(command, reversed) {
+    const toStock = (command.move.type === 'recycle') !== reversed;
+    if (toStock) {
+      return this.animateCardsToStock(command.cardIds).then(() => {
+        if (this.rootElement) {
+          this.updateDisplay(0);
+        }
+      });
+    }
+    this.updateDisplay(0);
+    return this.animateCardsFromStock(command.cardIds);
+  }
+
+  /**
+   * Animate cards fanning out from the stock into the waste (a draw, or an
+   * undone recycle). Called once the waste shows them: each visible card
+   * starts over the stock and slides to its place, stockDelayMs after the
+   * one before it. With reduced motion the cards fade in where they are.
+   * @param {string[]} cardIds - The cards, bottom one first
+   * @returns {Promise} Resolves when the last card has landed
+   */
+  animateCardsFromStock(cardIds) {
+    const durations = this.getAnimationDurations();
+    const stockPile = this.getPileElement('stock-pile');
+    if (!stockPile || !this.animationsEnabled || durations.moveDurationMs === 0) {
+      return Promise.resolve();
+    }
+
+    // Only the fanned top of the waste has elements
+    const elements = cardIds
+      .map(cardId => this.cardElements.get(cardId))
+      .filter(element => element && element.isConnected && element.dataset.location === 'waste');
+    if (elements.length === 0) {
+      return Promise.resolve();
+    }
+
+    this.isMoveAnimating = true;
+
+    if (this.isReducedMotion) {
+      // Hide every card without a transition, apply that, then fade them in
+      elements.forEach(element => {
+        element.style.transition = 'none';
+        element.style.opacity = '0';
+      });
+      void elements[0].offsetWidth;
+      elements.forEach((element, index) => {
+        element.style.transition = `opacity ${durations.moveDurationMs}ms ease-in-out ${index * durations.stockDelayMs}ms`;
+        element.style.opacity = '';
+      });
+    } else {
+      // Put every card over the stock without a transition...
+      const stockRect = stockPile.getBoundingClientRect();
+      elements.forEach(element => {
+        const rect = element.getBoundingClientRect();
+        element.style.transition = 'none';
+        element.style.transform = `translate(${stockRect.left - rect.left}px, ${stockRect.top - rect.top}px)`;
+      });
+      // ...apply that (reading the layout does), then let them slide home
+      void elements[0].offsetWidth;
+      elements.forEach((element, index) => {
+        element.style.transition = `transform ${durations.moveDurationMs}ms cubic-bezier(0.25, 0.46, 0.45, 0.94) ${index * durations.stockDelayMs}ms`;
+        element.style.transform = '';
+      });
+    }
+
+    const totalMs = durations.moveDurationMs + (elements.length - 1) * durations.stockDelayMs;
+    return new Promise((resolve) => {
+      let endTimer = null;
+      const finish = this.trackAnimation(() => {
+        clearTimeout(endTimer);
+        // Dropping the transition also puts a card still on its way in place
+        elements.forEach(element => {
+          element.style.transition = '';
+        });
+        this.isMoveAnimating = false;
+        resolve();
+      });
+      endTimer = setTimeout(finish, totalMs);
+    });
+  }
+
+  /**
+   * Animate cards sweeping from the waste back onto the stock (a recycle,
+   * or an undone draw), turning face down as they go. Called before the
+   * board is re-rendered: the visible waste cards are hidden and clones
+   * travel to the stock, the top card first. With reduced motion the
+   * clones fade out where they are instead, face up.
+   * @param {string[]} cardIds - The cards, bottom one first
+   * @returns {Promise} Resolves when the last card has arrived
+   */
+  animateCardsToStock(cardIds) {
+    const durations = this.getAnimationDurations();
+    const stockPile = this.getPileElement('stock-pile');
+    if (!stockPile || !this.animationsEnabled || durations.moveDurationMs === 0) {
+      return Promise.resolve();
+    }
+
+    const elements = cardIds
+      .map(cardId => this.cardElements.get(cardId))
+      .filter(element => element && element.isConnected && element.dataset.location === 'waste');
+    if (elements.length === 0) {
+      return Promise.resolve();
+    }
+
+    this.isMoveAnimating = true;
+
+    const reducedMotion = this.isReducedMotion;
+    const stockRect = stockPile.getBoundingClientRect();
+    // Only the top layer is visible behind a modal dialog
+    const layer = this.rootElement.closest('dialog') || document.body;
+    const animatedCards = elements.map((element, index) => {
+      const rect = element.getBoundingClientRect();
+      const delayMs = (elements.length - 1 - index) * durations.stockDelayMs;
+      element.style.opacity = '0';
+      element.style.visibility = 'hidden';
+
+      const animatedCard = element.cloneNode(true);
+      animatedCard.removeAttribute('id');
+      animatedCard.setAttribute('aria-hidden', 'true');
+      animatedCard.style.position = 'fixed';
+      animatedCard.style.left = rect.left + 'px';
+      animatedCard.style.top = rect.top + 'px';
+      animatedCard.style.width = rect.width + 'px';
+      animatedCard.style.height = rect.height + 'px';
+      animatedCard.style.zIndex = String(9999 + index);
+      animatedCard.style.pointerEvents = 'none';
+      animatedCard.style.transition = reducedMotion
+        ? `opacity ${durations.moveDurationMs}ms ease-in-out ${delayMs}ms`
+        : `all ${durations.moveDurationMs}ms cubic-bezier(0.25, 0.46, 0.45, 0.94) ${delayMs}ms`;
+      animatedCard.style.opacity = '1';
+      animatedCard.style.visibility = 'visible';
+      const innerElement = animatedCard.querySelector('.klondike-card-inner');
+      if (innerElement && !reducedMotion) {
+        innerElement.style.transition = `transform ${durations.moveDurationMs}ms ease-in-out ${delayMs}ms`;
+      }
+
+      layer.appendChild(animatedCard);
+      return animatedCard;
+    });
+
+    return new Promise((resolve) => {
+      let endTimer = null;
+      const finish = this.trackAnimation(() => {
+        clearTimeout(endTimer);
+        animatedCards.forEach(animatedCard => animatedCard.remove());
+        this.isMoveAnimating = false;
+        resolve();
+      });
+
+      requestAnimationFrame(() => {
+        if (!this.runningAnimations.has(finish)) return;
+        animatedCards.forEach(animatedCard => {
+          if (reducedMotion) {
+            animatedCard.style.opacity = '0';
+            return;
+          }
+          animatedCard.style.left = stockRect.left + 'px';
+          animatedCard.style.top = stockRect.top + 'px';
+          animatedCard.classList.remove('is-face-up');
+        });
+
+        const totalMs = durations.moveDurationMs + (elements.length - 1) * durations.stockDelayMs;
+        endTimer = setTimeout(finish, totalMs);
+      });
+    });
+  }
 }
 
 // Make the engine available globally
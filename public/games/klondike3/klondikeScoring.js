@@ -0,0 +1,204 @@
+/**************************************************************************
+ * klondikeScoring.js
+ * ------------------
+ * Pluggable scoring modes for Klondike.
+ *
+ * Design decisions:
+ * - The engine only reports scoring events ("tableau-to-foundation",
+ *   "flip", "recycle", ...). Each mode decides what an event is worth.
+ * - A deal is always scored with the mode it was dealt with; the engine
+ *   stores the mode id in its gameState.
+ * - Cumulative Vegas keeps a running bankroll in localStorage. The engine
+ *   stores the bankroll at the start of the deal, so the current bankroll
+ *   is always that base plus the deal's own score (which makes Undo safe).
+ *
+ * Modes:
+ * - standard:          Windows-style points. +5 waste to tableau, +10 to
+ *                      foundation, +5 per card turned over, -15 foundation
+ *                      to tableau, recycle penalty (-100 per recycle in
+ *                      draw-1, -20 per recycle after the third pass in
+ *                      draw-3), time bonus on win. Never below 0.
+ * - vegas:             -52 buy-in, +5 per card played to a foundation,
+ *                      -5 when a card is taken back from a foundation.
+ * - vegas-cumulative:  Vegas scoring, with the result of every deal carried
+ *                      over to the next one.
+ *
+ * Each mode also sets `undoLimit`, the number of moves a deal may take back
+ * (null for no limit, 0 for no undo). The engine hands it to UndoManager.
+ **************************************************************************/
+
+const KlondikeScoring = (function () {
+
+  const BANKROLL_KEY = 'scoring.vegasBankroll';
+
+  /**************************************************************************
+   * Windows-style scoring
+   **************************************************************************/
+  const standard = {
+    id: 'standard',
+    label: 'Standard',
+    cumulative: false,
+    minScore: 0,
+    undoLimit: null,
+
+    initialScore() {
+      return 0;
+    },
+
+    scoreEvent(event, context = {}) {
+      switch (event) {
+        case 'waste-to-tableau':
+          return 5;
+        case 'waste-to-foundation':
+        case 'tableau-to-foundation':
+          return 10;
+        case 'flip':
+          return 5;
+        case 'foundation-to-tableau':
+          return -15;
+        case 'recycle':
+          // `passCount` is the pass that the recycle starts (2 = second pass)
+          if (context.drawCount === 1) {
+            return -100;
+          }
+          return context.passCount > 3 ? -20 : 0;
+        default:
+          return 0;
+      }
+    },
+
+    // Windows awards 700000 / seconds for games that take 30 seconds or more
+    winBonus(timeSeconds) {
+      if (!timeSeconds || timeSeconds < 30) {
+        return 0;
+      }
+      return Math.round(700000 / timeSeconds);
+    },
+
+    formatScore(score) {
+      return String(score);
+    }
+  };
+
+  /**************************************************************************
+   * Vegas scoring (one deal at a time)
+   **************************************************************************/
+  const vegas = {
+    id: 'vegas',
+    label: 'Vegas',
+    cumulative: false,
+    minScore: -Infinity,
+    undoLimit: null,
+
+    initialScore() {
+      return -52;
+    },
+
+    scoreEvent(event) {
+      switch (event) {
+        case 'waste-to-foundation':
+        case 'tableau-to-foundation':
+          return 5;
+        case 'foundation-to-tableau':
+          return -5;
+        default:
+          return 0;
+      }
+    },
+
+    winBonus() {
+      return 0;
+    },
+
+    formatScore(score) {
+      return `${score < 0 ? '-' : ''}$${Math.abs(score)}`;
+    }
+  };
+
+  /**************************************************************************
+   * Cumulative Vegas: same points, bankroll carried across deals
+   **************************************************************************/
+  const vegasCumulative = {
+    ...vegas,
+    id: 'vegas-cumulative',
+    label: 'Vegas Cumulative',
+    cumulative: true
+  };
+
+  const modes = {
+    [standard.id]: standard,
+    [vegas.id]: vegas,
+    [vegasCumulative.id]: vegasCumulative
+  };
+
+  /**************************************************************************
+   * Look up a scoring mode by id. Unknown ids fall back to standard so old
+   * saved settings never break scoring.
+   **************************************************************************/
+  function getMode(modeId) {
+    return modes[modeId] || standard;
+  }
+
+  /**************************************************************************
+   * Returns true if `modeId` names a known scoring mode.
+   **************************************************************************/
+  function isMode(modeId) {
+    return Object.prototype.hasOwnProperty.call(modes, modeId);
+  }
+
+  /**************************************************************************
+   * Apply one scoring event and return the new score, respecting the
+   * mode's minimum score.
+   **************************************************************************/
+  function applyEvent(modeId, score, event, context) {
+    const mode = getMode(modeId);
+    return Math.max(mode.minScore, score + mode.scoreEvent(event, context));
+  }
+
+  /**************************************************************************
+   * Format a score for display (Vegas modes are shown in dollars).
+   **************************************************************************/
+  function formatScore(modeId, score) {
+    return getMode(modeId).formatScore(score);
+  }
+
+  /**************************************************************************
+   * Cumulative Vegas bankroll persistence.
+   *
+   * Storage failures (private mode, quota) are ignored: the bankroll then
+   * simply starts again from 0 on the next page load.
+   **************************************************************************/
+  function getBankroll() {
+    try {
+      const saved = parseInt(localStorage.getItem(BANKROLL_KEY) || '0', 10);
+      return Number.isNaN(saved) ? 0 : saved;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  function setBankroll(value) {
+    try {
+      localStorage.setItem(BANKROLL_KEY, String(value));
+    } catch (e) {
+      // Ignore storage errors, see above.
+    }
+  }
+
+  // Public API exposed to game scripts.
+  return {
+    getMode,
+    isMode,
+    applyEvent,
+    formatScore,
+    getBankroll,
+    setBankroll,
+  };
+})();
+
+// Attach KlondikeScoring to the global object so the engine and the shell
+// can both reach it as `window.KlondikeScoring`, and KlondikeRules can find
+// it in Web Workers and Node too.
+if (typeof globalThis !== "undefined") {
+  globalThis.KlondikeScoring = KlondikeScoring;
+}
@@ -0,0 +1,52 @@
+/**************************************************************************
+ * klondikeSolverWorker.js
+ * ----------------
+ * Web Worker that runs KlondikeSolver off the main thread, so searching for
+ * a winnable deal never freezes the page.
+ *
+ * Messages in (each with an `id` that is echoed back):
+ *
+ *   { id, type: 'solve', state, timeBudgetMs }
+ *     Solve one position. Replies { id, result } (see KlondikeSolver.solve).
+ *
+ *   { id, type: 'find-winnable-deal', rules, maxSeed, attemptBudgetMs, totalBudgetMs }
+ *     Deal random seeds (1..maxSeed) with `rules` until one is solved.
+ *     Replies { id, seed, attempts, result }; seed is null if no winnable
+ *     deal was found within totalBudgetMs.
+ **************************************************************************/
+
+importScripts(
+  '/games/klondike3/klondikeRules.js',
+  '/moveGenerationEngine.js',
+  '/games/klondike3/klondikeSolver.js'
+);
+
+self.onmessage = (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'solve') {
+    const result = KlondikeSolver.solve(message.state, { timeBudgetMs: message.timeBudgetMs });
+    self.postMessage({ id: message.id, result });
+    return;
+  }
+
+  if (message.type === 'find-winnable-deal') {
+    const deadline = Date.now() + message.totalBudgetMs;
+    let attempts = 0;
+
+    while (Date.now() < deadline) {
+      const seed = 1 + Math.floor(Math.random() * message.maxSeed);
+      attempts++;
+
+      const state = KlondikeRules.deal(seed, { rules: message.rules });
+      const timeBudgetMs = Math.min(message.attemptBudgetMs, Math.max(1, deadline - Date.now()));
+      const result = KlondikeSolver.solve(state, { timeBudgetMs });
+      if (result.status === 'solved') {
+        self.postMessage({ id: message.id, seed, attempts, result });
+        return;
+      }
+    }
+
+    self.postMessage({ id: message.id, seed: null, attempts, result: null });
+  }
+};
@@ -0,0 +1,252 @@
+/**************************************************************************
+ * soundManager.js
+ * ----------------
+ * Shared sound effects player for all solitaire games.
+ *
+ * Design decisions:
+ * - Web Audio only: sounds are decoded once into AudioBuffers and played
+ *   through one master gain node, so overlapping effects are cheap and the
+ *   volume applies to everything.
+ * - Game agnostic: games register their own named sounds (URLs of bundled
+ *   local assets). The manager does not know about cards or moves.
+ * - Lazy: nothing is created or downloaded until the first user gesture.
+ *   Browsers only allow an AudioContext to start after one anyway.
+ * - Silent failure: without Web Audio, or if an asset fails to load,
+ *   `play()` simply does nothing. Sound is never required to play.
+ *
+ * How games are expected to use this:
+ *
+ * 1) Register the sounds once, then ask for them to be loaded on the first
+ *    click, tap or key press:
+ *
+ *        SoundManager.registerSounds({ place: '/sounds/place.wav' });
+ *        SoundManager.preloadOnFirstGesture();
+ *
+ * 2) Play sounds by name:
+ *
+ *        SoundManager.play('place');
+ *
+ * 3) Settings: `setEnabled` follows the player's Sound setting, `setVolume`
+ *    the volume slider (0..1), and `setMuted` is for temporary silence,
+ *    e.g. while the game is paused. Muting does not change the settings.
+ **************************************************************************/
+
+// IIFE (Immediately Invoked Function Expression) used to keep internal
+// variables private while exposing a small public API.
+const SoundManager = (function () {
+
+  // Registered sounds: name -> URL
+  const soundUrls = {};
+
+  // Decoded sounds: name -> AudioBuffer (missing until loaded)
+  const buffers = {};
+
+  // Names currently being fetched, so each asset is only requested once
+  const loading = new Set();
+
+  let context = null;
+  let masterGain = null;
+
+  let enabled = true;
+  let muted = false;
+  let volume = 0.8;
+
+  // True once the user has interacted with the page (see preloadOnFirstGesture)
+  let gestureSeen = false;
+  let gestureListening = false;
+
+   /**************************************************************************
+   * Create the AudioContext and master gain, if Web Audio is available.
+   * Returns false when sound cannot be played at all.
+   **************************************************************************/
+  function ensureContext() {
+    if (context) {
+      return true;
+    }
+
+    const AudioContextClass = typeof window !== "undefined"
+      ? (window.AudioContext || window.webkitAudioContext)
+      : null;
+    if (!AudioContextClass) {
+      return false;
+    }
+
+    try {
+      context = new AudioContextClass();
+      masterGain = context.createGain();
+      masterGain.connect(context.destination);
+      applyGain();
+      return true;
+    } catch (e) {
+      context = null;
+      masterGain = null;
+      return false;
+    }
+  }
+
+   /**************************************************************************
+   * Push the current enabled / muted / volume state into the master gain.
+   **************************************************************************/
+  function applyGain() {
+    if (!masterGain) {
+      return;
+    }
+    masterGain.gain.value = enabled && !muted ? volume : 0;
+  }
+
+   /**************************************************************************
+   * Fetch and decode one registered sound. Failures are ignored; the sound
+   * just stays silent.
+   **************************************************************************/
+  function loadSound(name) {
+    if (!context || buffers[name] || loading.has(name) || !soundUrls[name]) {
+      return;
+    }
+
+    loading.add(name);
+    fetch(soundUrls[name])
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(data => new Promise((resolve, reject) => {
+        // Callback form for older Safari, which has no promise-based decodeAudioData
+        context.decodeAudioData(data, resolve, reject);
+      }))
+      .then(buffer => {
+        buffers[name] = buffer;
+      })
+      .catch(error => {
+        console.warn(`🔊 SoundManager: Could not load "${name}"`, error);
+      })
+      .finally(() => {
+        loading.delete(name);
+      });
+  }
+
+   /**************************************************************************
+   * Start the AudioContext and load every registered sound. Must run from
+   * a user gesture the first time, or the browser keeps the context
+   * suspended.
+   **************************************************************************/
+  function unlock() {
+    if (!ensureContext()) {
+      return;
+    }
+
+    if (context.state === "suspended" && typeof context.resume === "function") {
+      context.resume().catch(() => {});
+    }
+
+    Object.keys(soundUrls).forEach(loadSound);
+  }
+
+   /**************************************************************************
+   * Add sounds (name -> URL). Sounds registered after the first gesture are
+   * loaded right away.
+   **************************************************************************/
+  function registerSounds(map) {
+    Object.keys(map || {}).forEach(name => {
+      soundUrls[name] = map[name];
+    });
+
+    if (context) {
+      Object.keys(soundUrls).forEach(loadSound);
+    }
+  }
+
+   /**************************************************************************
+   * Wait for the first pointer or key press, then unlock audio and load the
+   * sounds. While sound is disabled nothing is loaded; turning it on later
+   * (itself a click) loads them instead.
+   **************************************************************************/
+  function preloadOnFirstGesture() {
+    if (gestureListening || gestureSeen || typeof document === "undefined") {
+      return;
+    }
+
+    const onGesture = () => {
+      gestureSeen = true;
+      if (enabled) {
+        unlock();
+      }
+      document.removeEventListener("pointerdown", onGesture, true);
+      document.removeEventListener("keydown", onGesture, true);
+      gestureListening = false;
+    };
+
+    document.addEventListener("pointerdown", onGesture, true);
+    document.addEventListener("keydown", onGesture, true);
+    gestureListening = true;
+  }
+
+   /**************************************************************************
+   * Play a registered sound by name. Does nothing while disabled or muted,
+   * before the first gesture, or if the sound has not loaded (yet).
+   **************************************************************************/
+  function play(name) {
+    if (!enabled || muted || volume <= 0 || !context || !buffers[name]) {
+      return;
+    }
+
+    try {
+      const source = context.createBufferSource();
+      source.buffer = buffers[name];
+      source.connect(masterGain);
+      source.start(0);
+    } catch (e) {
+      // A sound that fails to play is not worth interrupting the game for.
+    }
+  }
+
+   /**************************************************************************
+   * Turn sound effects on or off (the player's Sound setting).
+   **************************************************************************/
+  function setEnabled(value) {
+    enabled = !!value;
+    applyGain();
+
+    // Turning sound on from a settings click counts as the unlocking gesture
+    if (enabled && gestureSeen) {
+      unlock();
+    }
+  }
+
+   /**************************************************************************
+   * Set the volume, from 0 (silent) to 1 (full).
+   **************************************************************************/
+  function setVolume(value) {
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      return;
+    }
+    volume = Math.min(1, Math.max(0, value));
+    applyGain();
+  }
+
+   /**************************************************************************
+   * Temporarily silence everything (e.g. while paused) without touching
+   * the player's settings.
+   **************************************************************************/
+  function setMuted(value) {
+    muted = !!value;
+    applyGain();
+  }
+
+  // Public API exposed to game scripts.
+  return {
+    registerSounds,
+    preloadOnFirstGesture,
+    play,
+    setEnabled,
+    setVolume,
+    setMuted,
+  };
+})();
+
+// Attach SoundManager to the global object so the engine and the shell can
+// both reach it as `window.SoundManager`.
+if (typeof window !== "undefined") {
+  window.SoundManager = SoundManager;
+}
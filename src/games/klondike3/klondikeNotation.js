@@ -0,0 +1,324 @@
+/**************************************************************************
+ * klondikeNotation.js
+ * ----------------
+ * A plain-text notation for Klondike deals and games, so a game can be
+ * copied out of the page, pasted back in, attached to a bug report or
+ * shared as a puzzle.
+ *
+ * Example (a game; without the Moves line it is just a deal):
+ *
+ *     Klondike
+ *     Rules: draw 3, passes unlimited
+ *     Deal: 12345
+ *     1: 8C
+ *     2: 4H 7C
+ *     3: TD 2S QH
+ *     4: ...
+ *     7: ...
+ *     Stock: QD 3S 9H ...
+ *     Moves: D 7>F W>4 2>5x3 R FH>6
+ *
+ * Cards are a rank (A 2-9 T J Q K, 10 is accepted) and a suit (C D H S).
+ * Lines "1:" to "7:" are the tableau columns as dealt, bottom card first;
+ * the last card of each column is the face-up one. "Stock:" lists the
+ * other 24 cards in the order they come off the stock. "Deal:" is the
+ * deal number; it may replace the layout lines altogether. "Rules:" is
+ * optional (draw 3, unlimited passes). Lines starting with # are comments.
+ *
+ * Moves, separated by spaces (they may continue on the following lines):
+ *   D          draw from the stock
+ *   R          turn the waste over into the stock
+ *   W>4        waste to tableau column 4
+ *   3>F        tableau column 3 to its foundation
+ *   2>5x3      the top 3 cards of column 2 onto column 5
+ *   FH>6       hearts foundation back to column 6
+ *
+ * Design decisions:
+ * - Parsing validates everything (each card once, column sizes, every move
+ *   legal under the game's rules) and points at the offending token, so a
+ *   mistyped report is easy to fix.
+ * - Moves replay through KlondikeRules, like the replay viewer and solver.
+ * - No DOM, so the same file runs in the page and in Node (import
+ *   klondikeScoring.js and klondikeRules.js first; see klondikeRules.js).
+ **************************************************************************/
+
+const KlondikeNotation = (function () {
+
+  const RANKS = ["", "A", "2", "3", "4", "5", "6", "7", "8", "9", "T", "J", "Q", "K"];
+  const SUITS = ["H", "D", "C", "S"]; // Same order as KlondikeRules suits
+  const STOCK_SIZE = 24;
+
+  /**************************************************************************
+   * KlondikeRules is a global once its script has run.
+   **************************************************************************/
+  function getRules() {
+    return typeof KlondikeRules !== "undefined" ? KlondikeRules : null;
+  }
+
+  /**************************************************************************
+   * Cards
+   **************************************************************************/
+  function formatCard(card) {
+    return RANKS[card.rank] + SUITS[card.suit];
+  }
+
+  // Returns { suit, rank } or null
+  function parseCard(token) {
+    const match = /^(10|[A2-9TJQK])([CDHS])$/i.exec(token);
+    if (!match) {
+      return null;
+    }
+    const rankText = match[1].toUpperCase();
+    return {
+      suit: SUITS.indexOf(match[2].toUpperCase()),
+      rank: rankText === "10" ? 10 : RANKS.indexOf(rankText),
+    };
+  }
+
+  /**************************************************************************
+   * Moves
+   **************************************************************************/
+  function locationCode(location) {
+    const [zone, index] = location.split("-");
+    if (zone === "waste") return "W";
+    if (zone === "tableau") return String(parseInt(index, 10) + 1);
+    return `F${SUITS[parseInt(index, 10)]}`;
+  }
+
+  function formatMove(move) {
+    if (move.type === "draw") return "D";
+    if (move.type === "recycle") return "R";
+
+    const to = move.to.startsWith("foundation-") ? "F" : locationCode(move.to);
+    const count = move.count > 1 ? `x${move.count}` : "";
+    return `${locationCode(move.from)}>${to}${count}`;
+  }
+
+  // Turn a move token into a KlondikeRules move for `state`, or null. The
+  // foundation of "3>F" is the one for the moving card's suit.
+  function parseMove(token, state) {
+    const text = token.toUpperCase();
+    if (text === "D") return { type: "draw" };
+    if (text === "R") return { type: "recycle" };
+
+    const match = /^(W|[1-7]|F[CDHS])>([1-7]|F)(?:X(\d+))?$/.exec(text);
+    if (!match) {
+      return null;
+    }
+
+    let from;
+    if (match[1] === "W") {
+      from = "waste";
+    } else if (match[1].startsWith("F")) {
+      from = `foundation-${SUITS.indexOf(match[1][1])}`;
+    } else {
+      from = `tableau-${parseInt(match[1], 10) - 1}`;
+    }
+    const count = match[3] ? parseInt(match[3], 10) : 1;
+
+    let to;
+    if (match[2] === "F") {
+      const pile = getRules().getPile(state, from);
+      const card = pile && pile[pile.length - count];
+      if (!card) return null;
+      to = `foundation-${card.suit}`;
+    } else {
+      to = `tableau-${parseInt(match[2], 10) - 1}`;
+    }
+
+    return { type: "move", from, to, count };
+  }
+
+  /**************************************************************************
+   * Write a deal or game as text.
+   *
+   * game: { layout, rules, seed?, moves? } where layout is as returned by
+   * KlondikeRules.getLayout and moves are KlondikeRules moves.
+   **************************************************************************/
+  function format(game) {
+    const rules = { drawCount: 3, maxPasses: null, ...(game.rules || {}) };
+    const passes = rules.maxPasses === null ? "unlimited" : rules.maxPasses;
+    const lines = ["Klondike", `Rules: draw ${rules.drawCount}, passes ${passes}`];
+
+    if (game.seed) {
+      lines.push(`Deal: ${game.seed}`);
+    }
+    game.layout.tableau.forEach((column, col) => {
+      lines.push(`${col + 1}: ${column.map(formatCard).join(" ")}`);
+    });
+    // The stock is stored bottom card first; list it in drawing order
+    lines.push(`Stock: ${game.layout.stock.slice().reverse().map(formatCard).join(" ")}`);
+
+    if (game.moves && game.moves.length > 0) {
+      lines.push(`Moves: ${game.moves.map(formatMove).join(" ")}`);
+    }
+    return lines.join("\n");
+  }
+
+  /**************************************************************************
+   * Read a deal or game from text.
+   *
+   * Returns { game: { layout, rules, seed, moves } } (seed is null unless a
+   * "Deal:" line gave one that matches the layout), or
+   * { error: { message, token, line } } naming the first problem found.
+   **************************************************************************/
+  function parse(text) {
+    const rules = getRules();
+    if (!rules) {
+      return { error: { message: "Klondike rules are not available.", token: null, line: null } };
+    }
+
+    const fail = (message, token, line) => ({
+      error: { message: line ? `Line ${line}: ${message}` : message, token, line },
+    });
+
+    const gameRules = { drawCount: 3, maxPasses: null };
+    const columns = new Array(7).fill(null);
+    let stock = null;
+    let stockLine = null;
+    let seed = null;
+    const moveTokens = [];
+    let inMoves = false;
+
+    const lines = String(text || "").split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const lineNumber = i + 1;
+      const line = lines[i].trim();
+      if (line === "" || line.startsWith("#")) continue;
+      if (/^klondike$/i.test(line)) continue; // Title line
+
+      const colon = line.indexOf(":");
+      const key = colon === -1 ? null : line.slice(0, colon).trim().toLowerCase();
+      const value = colon === -1 ? line : line.slice(colon + 1).trim();
+      const tokens = value.split(/\s+/).filter(Boolean);
+
+      if (key === null) {
+        // Only the move list may continue over several lines
+        if (!inMoves) {
+          return fail(`"${tokens[0]}" is not a "Key: value" line.`, tokens[0], lineNumber);
+        }
+        tokens.forEach(token => moveTokens.push({ token, line: lineNumber }));
+        continue;
+      }
+      inMoves = false;
+
+      if (key === "rules") {
+        const match = /^draw\s+([13])\s*,?\s*passes\s+(unlimited|\d+)$/i.exec(value);
+        if (!match || match[2] === "0") {
+          return fail(`"${value}" is not a rule set (e.g. "draw 3, passes unlimited").`, value, lineNumber);
+        }
+        gameRules.drawCount = parseInt(match[1], 10);
+        gameRules.maxPasses = /^unlimited$/i.test(match[2]) ? null : parseInt(match[2], 10);
+      } else if (key === "deal") {
+        const number = value.replace(/^#/, "");
+        seed = /^\d+$/.test(number) ? parseInt(number, 10) : 0;
+        if (!(seed > 0 && seed <= 0xFFFFFFFF)) {
+          return fail(`"${value}" is not a deal number.`, value, lineNumber);
+        }
+      } else if (/^[1-7]$/.test(key)) {
+        columns[parseInt(key, 10) - 1] = { tokens, line: lineNumber };
+      } else if (key === "stock") {
+        stock = tokens;
+        stockLine = lineNumber;
+      } else if (key === "moves") {
+        inMoves = true;
+        tokens.forEach(token => moveTokens.push({ token, line: lineNumber }));
+      } else {
+        const label = line.slice(0, colon + 1);
+        return fail(`"${label}" is not a known line.`, label, lineNumber);
+      }
+    }
+
+    // The layout: the 7 columns and the stock, each card exactly once
+    let layout;
+    const hasLayout = stock !== null || columns.some(Boolean);
+    if (hasLayout) {
+      const seen = new Set();
+      const readCards = (tokens, line) => {
+        const cards = [];
+        for (const token of tokens) {
+          const card = parseCard(token);
+          if (!card) {
+            return fail(`"${token}" is not a card (e.g. "QH" or "10S").`, token, line);
+          }
+          const name = formatCard(card);
+          if (seen.has(name)) {
+            return fail(`${name} appears more than once.`, token, line);
+          }
+          seen.add(name);
+          cards.push(card);
+        }
+        return { cards };
+      };
+
+      layout = { tableau: [], stock: [] };
+      for (let col = 0; col < 7; col++) {
+        if (!columns[col]) {
+          return fail(`Tableau column ${col + 1} is missing (a "${col + 1}:" line).`, `${col + 1}:`, null);
+        }
+        const { tokens, line } = columns[col];
+        const result = readCards(tokens, line);
+        if (result.error) return result;
+        if (result.cards.length !== col + 1) {
+          const token = tokens[col + 1] || `${col + 1}:`;
+          return fail(`Column ${col + 1} must hold ${col + 1} ${col === 0 ? "card" : "cards"}, not ${result.cards.length}.`, token, line);
+        }
+        layout.tableau.push(result.cards);
+      }
+
+      if (!stock) {
+        return fail('The stock is missing (a "Stock:" line).', "Stock:", null);
+      }
+      const result = readCards(stock, stockLine);
+      if (result.error) return result;
+      if (result.cards.length !== STOCK_SIZE) {
+        const token = stock[STOCK_SIZE] || "Stock:";
+        return fail(`The stock must hold ${STOCK_SIZE} cards, not ${result.cards.length}.`, token, stockLine);
+      }
+      // Listed in drawing order; stored bottom card first
+      layout.stock = result.cards.reverse();
+
+      // A deal number is only kept if it deals this very layout
+      if (seed && format({ layout: rules.getLayout(rules.deal(seed, { rules: gameRules })) }) !== format({ layout })) {
+        seed = null;
+      }
+    } else if (seed) {
+      layout = rules.getLayout(rules.deal(seed, { rules: gameRules }));
+    } else {
+      return fail('No deal found: add a "Deal:" line or the "1:" to "7:" and "Stock:" lines.', null, null);
+    }
+
+    // Every move must be legal in turn
+    let state = rules.dealLayout(layout, { rules: gameRules });
+    const moves = [];
+    for (const { token, line } of moveTokens) {
+      const move = parseMove(token, state);
+      if (!move) {
+        return fail(`"${token}" is not a move (e.g. "D", "W>4", "3>F" or "2>5x3").`, token, line);
+      }
+      const result = rules.applyMove(state, move);
+      if (!result) {
+        return fail(`"${token}" is not a legal move here (move ${moves.length + 1}).`, token, line);
+      }
+      state = result.state;
+      moves.push(move);
+    }
+
+    return { game: { layout, rules: gameRules, seed, moves } };
+  }
+
+  // Public API exposed to game scripts and Node.
+  return {
+    format,
+    parse,
+    formatCard,
+    parseCard,
+    formatMove,
+  };
+})();
+
+// Attach KlondikeNotation to the global object: `window` in pages, `global`
+// in Node.
+if (typeof globalThis !== "undefined") {
+  globalThis.KlondikeNotation = KlondikeNotation;
+}
@@ -0,0 +1,353 @@
+/**
+ * Klondike Replay Viewer
+ * Plays a finished (or abandoned) deal back from its deal number and the
+ * engine's move history (see Klondike3Engine.getReplayData).
+ *
+ * The positions are rebuilt with KlondikeRules, so the replay follows the
+ * same rules as the game. A view-only Klondike3Engine renders them, and
+ * moves are animated with its animateCardMovement (stock moves with
+ * animateCardsFromStock / animateCardsToStock). The viewer adds its own
+ * controls: step back, play/pause, step forward, a scrubber and a speed
+ * picker.
+ *
+ * Usage:
+ *
+ *     const replay = new KlondikeReplay(container, engine.getReplayData(), {
+ *       animationsEnabled: true,
+ *       motionMode: 'full'
+ *     });
+ *     replay.mount();
+ *     // ...
+ *     replay.destroy();
+ */
+
+class KlondikeReplay {
+  /**
+   * @param {HTMLElement} container - Element the viewer renders into
+   * @param {Object} replayData - { seed, layout, rules, scoringMode, moves }
+   * @param {Object} options
+   * @param {boolean} options.animationsEnabled - Animate moves (default true)
+   * @param {string} options.motionMode - "full" (default) or "reduced"
+   *   (moves cross-fade; see Klondike3Engine.updateOptions)
+   */
+  constructor(container, replayData, options = {}) {
+    this.container = container;
+    this.replayData = replayData;
+    this.animationsEnabled = options.animationsEnabled !== false;
+    this.motionMode = options.motionMode === 'reduced' ? 'reduced' : 'full';
+
+    // states[i] is the position after i moves
+    this.states = KlondikeReplay.buildStates(replayData);
+    this.index = 0;
+    this.speed = 1;
+    this.isPlaying = false;
+    this.isStepping = false;
+    this.playTimer = null;
+    this.engine = null;
+    this.eventListeners = [];
+  }
+
+  /**
+   * Replay speeds offered in the speed picker (1 = one move per STEP_MS)
+   */
+  static get SPEEDS() {
+    return [0.5, 1, 2, 4];
+  }
+
+  /**
+   * Pause between moves at 1× speed
+   */
+  static get STEP_MS() {
+    return 700;
+  }
+
+  /**
+   * Rebuild every position of a replay from its layout (imported deals) or
+   * deal number. Stops at the first move the rules reject, so a damaged
+   * history still replays up to that point.
+   *
+   * @param {Object} replayData - { seed, layout, rules, scoringMode, moves }
+   * @returns {Array} The positions, starting with the deal itself
+   */
+  static buildStates(replayData) {
+    const dealOptions = { rules: replayData.rules, scoringMode: replayData.scoringMode };
+    const states = [replayData.layout
+      ? KlondikeRules.dealLayout(replayData.layout, dealOptions)
+      : KlondikeRules.deal(replayData.seed, dealOptions)];
+
+    for (const entry of replayData.moves) {
+      const result = KlondikeRules.applyMove(states[states.length - 1], entry.move);
+      if (!result) {
+        console.warn('🎬 Replay: Move history does not match the deal, stopping early', entry);
+        break;
+      }
+      states.push(result.state);
+    }
+    return states;
+  }
+
+  /**
+   * Number of moves that can be replayed
+   */
+  get moveCount() {
+    return this.states.length - 1;
+  }
+
+  /**
+   * Render the board and controls into the container and show the deal
+   */
+  mount() {
+    this.container.innerHTML = `
+      <div class="klondike-replay">
+        <div class="klondike-replay-board"></div>
+        <div class="klondike-replay-controls">
+          <button type="button" class="klondike-replay-btn" data-action="back" aria-label="Step back" title="Step back">⏮</button>
+          <button type="button" class="klondike-replay-btn" data-action="play" aria-label="Play" title="Play">▶</button>
+          <button type="button" class="klondike-replay-btn" data-action="forward" aria-label="Step forward" title="Step forward">⏭</button>
+          <input type="range" class="klondike-replay-scrub" min="0" max="${this.moveCount}" step="1" value="0" aria-label="Move">
+          <select class="klondike-replay-speed" aria-label="Replay speed">
+            ${KlondikeReplay.SPEEDS.map(speed =>
+              `<option value="${speed}"${speed === this.speed ? ' selected' : ''}>${speed}×</option>`
+            ).join('')}
+          </select>
+          <span class="klondike-replay-position" aria-live="polite"></span>
+        </div>
+      </div>
+    `;
+
+    this.engine = new Klondike3Engine({
+      viewOnly: true,
+      rules: this.replayData.rules,
+      scoringMode: this.replayData.scoringMode,
+      autoplayMode: 'off',
+      soundEnabled: false,
+      animationsEnabled: this.animationsEnabled,
+      motionMode: this.motionMode
+    });
+    this.engine.mount(this.container.querySelector('.klondike-replay-board'), {}, {
+      seed: this.replayData.seed,
+      layout: this.replayData.layout
+    });
+
+    this.attachEventListeners();
+    this.seek(0);
+  }
+
+  /**
+   * Wire up the controls
+   */
+  attachEventListeners() {
+    const controls = this.container.querySelector('.klondike-replay-controls');
+
+    const clickHandler = (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      if (button.dataset.action === 'back') {
+        this.pause();
+        this.seek(this.index - 1);
+      } else if (button.dataset.action === 'forward') {
+        this.pause();
+        this.stepForward();
+      } else if (button.dataset.action === 'play') {
+        this.togglePlay();
+      }
+    };
+    const scrubHandler = (e) => {
+      this.pause();
+      this.seek(parseInt(e.target.value, 10));
+    };
+    const speedHandler = (e) => {
+      this.setSpeed(parseFloat(e.target.value));
+    };
+
+    const scrub = controls.querySelector('.klondike-replay-scrub');
+    const speed = controls.querySelector('.klondike-replay-speed');
+    controls.addEventListener('click', clickHandler);
+    scrub.addEventListener('input', scrubHandler);
+    speed.addEventListener('change', speedHandler);
+    this.eventListeners.push(
+      { element: controls, event: 'click', handler: clickHandler },
+      { element: scrub, event: 'input', handler: scrubHandler },
+      { element: speed, event: 'change', handler: speedHandler }
+    );
+  }
+
+  /**
+   * Jump straight to the position after `index` moves, without animation
+   */
+  seek(index) {
+    if (!this.engine) return;
+    this.index = Math.max(0, Math.min(this.moveCount, index));
+    this.engine.showPosition(this.states[this.index]);
+    this.updateControls();
+  }
+
+  /**
+   * Play the next move with its animation. Resolves once it is shown.
+   */
+  stepForward() {
+    if (!this.engine || this.isStepping || this.index >= this.moveCount) {
+      return Promise.resolve();
+    }
+
+    const entry = this.replayData.moves[this.index];
+    if (entry.move.type !== 'move') {
+      return this.stepStockMove(entry);
+    }
+
+    const root = this.engine.rootElement;
+    const sourceElement = root.querySelector(`.klondike-card[data-card-id="${entry.cardIds[0]}"]`);
+    const destElement = this.engine.getDestinationElement(entry.to);
+
+    const fromIndex = this.index;
+    this.isStepping = true;
+    return this.engine.animateCardMovement(sourceElement, destElement).then(() => {
+      this.isStepping = false;
+      // Destroyed, or moved elsewhere with the scrubber, during the animation
+      if (!this.engine || this.index !== fromIndex) return;
+      this.index++;
+      this.engine.showPosition(this.states[this.index], entry.flippedCardIds);
+      this.updateControls();
+    });
+  }
+
+  /**
+   * Internal helper: play a draw or recycle. A recycled waste sweeps onto
+   * the stock before the next position is shown; drawn cards fan out of
+   * the stock once it is.
+   */
+  stepStockMove(entry) {
+    const fromIndex = this.index;
+    const isRecycle = entry.move.type === 'recycle';
+    this.isStepping = true;
+
+    const sweep = isRecycle ? this.engine.animateCardsToStock(entry.cardIds) : Promise.resolve();
+    return sweep.then(() => {
+      // Destroyed, or moved elsewhere with the scrubber, during the animation
+      if (!this.engine || this.index !== fromIndex) return null;
+      this.index++;
+      this.engine.showPosition(this.states[this.index]);
+      this.updateControls();
+      return isRecycle ? null : this.engine.animateCardsFromStock(entry.cardIds);
+    }).then(() => {
+      this.isStepping = false;
+    });
+  }
+
+  /**
+   * Start or stop automatic playback
+   */
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Play the remaining moves one after another. Playing from the last
+   * position starts over from the deal.
+   */
+  play() {
+    if (this.isPlaying || !this.engine || this.moveCount === 0) return;
+    if (this.index >= this.moveCount) {
+      this.seek(0);
+    }
+    this.isPlaying = true;
+    this.updateControls();
+    this.scheduleNextStep();
+  }
+
+  /**
+   * Stop automatic playback after the move in progress
+   */
+  pause() {
+    this.isPlaying = false;
+    if (this.playTimer) {
+      clearTimeout(this.playTimer);
+      this.playTimer = null;
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Internal helper: queue the next playback step at the current speed
+   */
+  scheduleNextStep() {
+    this.playTimer = setTimeout(() => {
+      this.playTimer = null;
+      if (!this.isPlaying) return;
+      this.stepForward().then(() => {
+        if (!this.isPlaying) return;
+        if (this.index >= this.moveCount) {
+          this.pause();
+        } else {
+          this.scheduleNextStep();
+        }
+      });
+    }, KlondikeReplay.STEP_MS / this.speed);
+  }
+
+  /**
+   * Change the playback speed (one of SPEEDS). Faster replays also use the
+   * engine's faster animation preset.
+   */
+  setSpeed(speed) {
+    if (!KlondikeReplay.SPEEDS.includes(speed)) return;
+    this.speed = speed;
+    if (this.engine) {
+      const preset = speed < 1 ? 'slow' : speed > 1 ? 'fast' : 'normal';
+      this.engine.updateOptions({ animationSpeedPreset: preset });
+    }
+  }
+
+  /**
+   * Internal helper: sync the controls with the current position
+   */
+  updateControls() {
+    if (!this.container) return;
+
+    const playButton = this.container.querySelector('[data-action="play"]');
+    if (playButton) {
+      playButton.textContent = this.isPlaying ? '⏸' : '▶';
+      playButton.setAttribute('aria-label', this.isPlaying ? 'Pause' : 'Play');
+      playButton.setAttribute('title', this.isPlaying ? 'Pause' : 'Play');
+    }
+
+    const backButton = this.container.querySelector('[data-action="back"]');
+    const forwardButton = this.container.querySelector('[data-action="forward"]');
+    if (backButton) backButton.disabled = this.index === 0;
+    if (forwardButton) forwardButton.disabled = this.index >= this.moveCount;
+
+    const scrub = this.container.querySelector('.klondike-replay-scrub');
+    if (scrub) scrub.value = String(this.index);
+
+    const position = this.container.querySelector('.klondike-replay-position');
+    if (position) {
+      position.textContent = `Move ${this.index} of ${this.moveCount}`;
+    }
+  }
+
+  /**
+   * Stop playback and remove the viewer
+   */
+  destroy() {
+    this.pause();
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventListeners = [];
+    if (this.engine) {
+      this.engine.destroy();
+      this.engine = null;
+    }
+    if (this.container) {
+      this.container.innerHTML = '';
+      this.container = null;
+    }
+  }
+}
+
+// Make the viewer available globally
+window.KlondikeReplay = KlondikeReplay;
@@ -0,0 +1,507 @@
+/**************************************************************************
+ * klondikeRules.js
+ * ----------------
+ * The rules of Klondike as pure functions: no DOM, no timers, no storage.
+ *
+ * Design decisions:
+ * - A state goes in, a new state comes out. Nothing passed in is ever
+ *   mutated, so callers can keep old states (Undo, solvers) as they are.
+ * - Plain JavaScript only, so the same file runs in the page, in Web
+ *   Workers (importScripts), and in Node or Cloudflare Functions. These
+ *   files are plain scripts that set a global, not modules with exports,
+ *   and this package is "type": "module", so in Node import them for their
+ *   side effects, in dependency order, and use the globals:
+ *
+ *       await import("./klondikeScoring.js");
+ *       await import("./klondikeRules.js");
+ *       const { KlondikeRules } = globalThis;
+ *
+ *   The same goes for moveGenerationEngine.js, klondikeSolver.js and
+ *   klondikeNotation.js, which need KlondikeRules (and the solver
+ *   MoveGenerationEngine) imported first.
+ * - Scoring stays in KlondikeScoring: the rules only decide which scoring
+ *   events a move triggers, and apply them with the deal's scoring mode.
+ * - Time is not part of the rules. The time bonus on a win is added by
+ *   whoever keeps the clock (the engine).
+ *
+ * State shape (the engine's gameState):
+ *   { stock, waste, foundations[4], tableau[7], moveCount, score,
+ *     rules: { drawCount, maxPasses }, passCount, scoringMode, bankrollBase }
+ * Cards:
+ *   { id, suit (0-3: hearts, diamonds, clubs, spades), rank (1-13), faceUp }
+ * Locations:
+ *   'stock', 'waste', 'foundation-N' (N = suit), 'tableau-N' (N = 0-6)
+ *
+ * Moves:
+ *   { type: 'draw' }                   stock to waste (drawCount cards)
+ *   { type: 'recycle' }                empty stock: waste back to stock
+ *   { type: 'move', from, to, count }  the last `count` cards (default 1)
+ *                                      of `from` onto `to`
+ *
+ * applyMove(state, move) returns null for an illegal move, otherwise
+ *   { state, events, scoreDelta, won }
+ * where events describe what happened, in order:
+ *   { type: 'draw', cardIds }          { type: 'recycle', passCount }
+ *   { type: 'move', moveType, from, to, cardIds }
+ *   { type: 'flip', cardId, location } { type: 'score', event, delta }
+ *   { type: 'win' }
+ *
+ * revertMove(state, command) takes a move back, given what it did:
+ *   { move, cardIds, flippedCardIds, scoreDelta }
+ * so Undo only has to keep one small command per move, not whole states.
+ **************************************************************************/
+
+const KlondikeRules = (function () {
+
+  /**************************************************************************
+   * KlondikeScoring is a global once its script has run. Without it moves
+   * simply do not change the score.
+   **************************************************************************/
+  function getScoring() {
+    return typeof KlondikeScoring !== "undefined" ? KlondikeScoring : null;
+  }
+
+  /**************************************************************************
+   * Deep copy of a state. States are plain data with a known shape, so
+   * copying piles card by card is enough (and much faster than JSON, which
+   * matters to solvers applying thousands of moves).
+   **************************************************************************/
+  function cloneState(state) {
+    const copyPile = pile => pile.map(card => ({ ...card }));
+    return {
+      ...state,
+      stock: copyPile(state.stock),
+      waste: copyPile(state.waste),
+      foundations: state.foundations.map(copyPile),
+      tableau: state.tableau.map(copyPile),
+      rules: { ...state.rules },
+    };
+  }
+
+  /**************************************************************************
+   * Dealing
+   **************************************************************************/
+
+  /**
+   * Create a deterministic random number generator (mulberry32).
+   *
+   * Returns a function that behaves like Math.random: every call yields a
+   * float in [0, 1). The same seed always yields the same sequence, on every
+   * platform, which is what makes deal numbers replayable.
+   */
+  function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Create a standard 52-card deck, all face down
+   */
+  function createDeck() {
+    const deck = [];
+    for (let suit = 0; suit < 4; suit++) { // Hearts, Diamonds, Clubs, Spades
+      for (let rank = 1; rank <= 13; rank++) { // Ace to King
+        deck.push({ suit, rank, faceUp: false, id: `card-${suit}-${rank}` });
+      }
+    }
+    return deck;
+  }
+
+  /**
+   * Shuffle a deck in place (Fisher-Yates)
+   * @param {Function} random - Source of floats in [0, 1)
+   */
+  function shuffleDeck(deck, random = Math.random) {
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+  }
+
+  /**
+   * An empty table for a deal played with `rules` and `scoringMode`
+   */
+  function createEmptyState(options = {}) {
+    return {
+      stock: [],
+      waste: [],
+      foundations: [[], [], [], []], // Hearts, Diamonds, Clubs, Spades
+      tableau: [[], [], [], [], [], [], []], // 7 columns
+      moveCount: 0,
+      score: 0,
+      rules: { drawCount: 3, maxPasses: null, ...(options.rules || {}) }, // Rules this deal is played with
+      passCount: 1, // Current pass through the stock (1 = first)
+      scoringMode: options.scoringMode || 'standard', // Scoring mode this deal is played with
+      bankrollBase: 0 // Cumulative Vegas bankroll before this deal (set by the engine)
+    };
+  }
+
+  /**
+   * Deal a new game from a seed: shuffle, lay out the tableau (column N
+   * gets N + 1 cards, the last one face up) and put the rest in the stock.
+   * The score starts at the scoring mode's initial score.
+   * @param {number} seed - Deal number
+   * @param {Object} options - { rules, scoringMode }
+   */
+  function deal(seed, options = {}) {
+    const state = createEmptyState(options);
+    const deck = shuffleDeck(createDeck(), createSeededRandom(seed));
+
+    for (let col = 0; col < 7; col++) {
+      for (let row = 0; row <= col; row++) {
+        const card = deck.pop();
+        card.faceUp = row === col;
+        state.tableau[col].push(card);
+      }
+    }
+    state.stock = deck;
+
+    const scoring = getScoring();
+    if (scoring) {
+      state.score = scoring.getMode(state.scoringMode).initialScore();
+    }
+
+    return state;
+  }
+
+  /**
+   * Deal a given layout instead of a shuffled deck (imported deals). The
+   * layout lists cards as { suit, rank }:
+   *   { tableau: [7 columns, bottom card first], stock: [bottom card first] }
+   * The last card of each column is dealt face up. The caller checks that
+   * the layout holds every card exactly once (see KlondikeNotation.parse).
+   * @param {Object} layout - As returned by getLayout
+   * @param {Object} options - { rules, scoringMode }
+   */
+  function dealLayout(layout, options = {}) {
+    const state = createEmptyState(options);
+    const toCard = (card, faceUp) => ({
+      suit: card.suit,
+      rank: card.rank,
+      faceUp,
+      id: `card-${card.suit}-${card.rank}`
+    });
+
+    state.tableau = layout.tableau.map(column =>
+      column.map((card, row) => toCard(card, row === column.length - 1))
+    );
+    state.stock = layout.stock.map(card => toCard(card, false));
+
+    const scoring = getScoring();
+    if (scoring) {
+      state.score = scoring.getMode(state.scoringMode).initialScore();
+    }
+
+    return state;
+  }
+
+  /**
+   * The layout of a freshly dealt state, in the form dealLayout takes
+   */
+  function getLayout(state) {
+    const plain = pile => pile.map(card => ({ suit: card.suit, rank: card.rank }));
+    return {
+      tableau: state.tableau.map(plain),
+      stock: plain(state.stock)
+    };
+  }
+
+  /**************************************************************************
+   * Move checks
+   **************************************************************************/
+
+  function isRed(card) {
+    // Suits: 0=Hearts (red), 1=Diamonds (red), 2=Clubs (black), 3=Spades (black)
+    return card.suit === 0 || card.suit === 1;
+  }
+
+  /**
+   * Check whether `cards` (a run, first card on top) can be placed on a
+   * tableau column
+   */
+  function canMoveToTableau(state, cards, colIndex) {
+    if (!cards || cards.length === 0) return false;
+
+    const column = state.tableau[colIndex];
+    if (!column) return false;
+    const bottomCard = cards[0]; // The card that will be placed on the column
+
+    if (column.length === 0) {
+      // Empty column - only Kings can be placed
+      return bottomCard.rank === 13;
+    }
+
+    const topCard = column[column.length - 1];
+    if (!topCard.faceUp) return false;
+
+    // Must be opposite color and one rank lower
+    return isRed(topCard) !== isRed(bottomCard) && bottomCard.rank === topCard.rank - 1;
+  }
+
+  /**
+   * Return the foundation index a card can go to, or -1
+   */
+  function canMoveToFoundation(state, card) {
+    const foundation = state.foundations[card.suit];
+
+    if (foundation.length === 0) {
+      // Can only place Ace on empty foundation
+      return card.rank === 1 ? card.suit : -1;
+    }
+
+    // Must be next rank in sequence
+    const topCard = foundation[foundation.length - 1];
+    return card.rank === topCard.rank + 1 ? card.suit : -1;
+  }
+
+  /**
+   * Check whether the waste may be turned over into the stock again under
+   * the deal's pass limit
+   */
+  function canRecycleWaste(state) {
+    const { maxPasses } = state.rules;
+    return state.stock.length === 0 && state.waste.length > 0 &&
+      (maxPasses === null || state.passCount < maxPasses);
+  }
+
+  /**
+   * Get the pile array for a location, or null for an unknown location
+   */
+  function getPile(state, location) {
+    if (location === 'stock') return state.stock;
+    if (location === 'waste') return state.waste;
+
+    const match = /^(foundation|tableau)-(\d)$/.exec(location || '');
+    if (!match) return null;
+
+    const piles = match[1] === 'foundation' ? state.foundations : state.tableau;
+    return piles[parseInt(match[2], 10)] || null;
+  }
+
+  /**
+   * Check whether every card has made it to the foundations
+   */
+  function isWon(state) {
+    return state.foundations.reduce((sum, pile) => sum + pile.length, 0) === 52;
+  }
+
+  /**
+   * Check a card move without applying it. Returns the cards that would
+   * move, or null if the move is illegal.
+   */
+  function getMoveCards(state, move) {
+    const count = move.count === undefined ? 1 : move.count;
+    const from = getPile(state, move.from);
+    const to = getPile(state, move.to);
+
+    if (!from || !to || from === to || move.from === 'stock') return null;
+    if (!Number.isInteger(count) || count < 1 || count > from.length) return null;
+
+    // Only tableau columns give up more than their top card
+    if (count > 1 && !move.from.startsWith('tableau-')) return null;
+
+    const cards = from.slice(from.length - count);
+    if (cards.some(card => !card.faceUp)) return null;
+
+    if (move.to.startsWith('foundation-')) {
+      const foundationIndex = parseInt(move.to.split('-')[1], 10);
+      return count === 1 && canMoveToFoundation(state, cards[0]) === foundationIndex ? cards : null;
+    }
+    if (move.to.startsWith('tableau-')) {
+      const colIndex = parseInt(move.to.split('-')[1], 10);
+      return canMoveToTableau(state, cards, colIndex) ? cards : null;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a move is legal in a state
+   */
+  function isLegalMove(state, move) {
+    if (!move) return false;
+    switch (move.type) {
+      case 'draw':
+        return state.stock.length > 0;
+      case 'recycle':
+        return canRecycleWaste(state);
+      case 'move':
+        return getMoveCards(state, move) !== null;
+      default:
+        return false;
+    }
+  }
+
+  /**************************************************************************
+   * Applying moves
+   **************************************************************************/
+
+  /**
+   * Apply a move and return { state, events, scoreDelta, won }, or null if
+   * the move is illegal. The given state is left untouched.
+   */
+  function applyMove(state, move) {
+    if (!isLegalMove(state, move)) {
+      return null;
+    }
+
+    const next = cloneState(state);
+    const events = [];
+    const scoring = getScoring();
+
+    const score = (event, context) => {
+      if (!scoring) return;
+      const before = next.score;
+      next.score = scoring.applyEvent(next.scoringMode, next.score, event, context);
+      events.push({ type: 'score', event, delta: next.score - before });
+    };
+
+    if (move.type === 'draw') {
+      // Draw up to drawCount cards from stock to waste
+      const drawCount = Math.min(next.rules.drawCount, next.stock.length);
+      const cardIds = [];
+      for (let i = 0; i < drawCount; i++) {
+        const card = next.stock.pop();
+        card.faceUp = true;
+        next.waste.push(card);
+        cardIds.push(card.id);
+      }
+      events.push({ type: 'draw', cardIds });
+    } else if (move.type === 'recycle') {
+      // Turn the waste over: its first card becomes the top of the stock
+      while (next.waste.length > 0) {
+        const card = next.waste.pop();
+        card.faceUp = false;
+        next.stock.push(card);
+      }
+      next.passCount++;
+      events.push({ type: 'recycle', passCount: next.passCount });
+      score('recycle', { drawCount: next.rules.drawCount, passCount: next.passCount });
+    } else {
+      const count = move.count === undefined ? 1 : move.count;
+      const from = getPile(next, move.from);
+      const to = getPile(next, move.to);
+      const cards = from.splice(from.length - count, count);
+      const source = move.from.split('-')[0];
+      const target = move.to.split('-')[0];
+      const moveType = `${source}-to-${target}`;
+
+      events.push({ type: 'move', moveType, from: move.from, to: move.to, cardIds: cards.map(card => card.id) });
+
+      // Turn over the card a tableau move uncovers
+      let flipped = false;
+      if (source === 'tableau' && from.length > 0 && !from[from.length - 1].faceUp) {
+        const revealedCard = from[from.length - 1];
+        revealedCard.faceUp = true;
+        flipped = true;
+        events.push({ type: 'flip', cardId: revealedCard.id, location: move.from });
+      }
+
+      to.push(...cards);
+
+      // Same scoring order as play: the flip, then the move itself
+      if (flipped) score('flip');
+      score(moveType);
+    }
+
+    next.moveCount++;
+
+    const won = isWon(next);
+    if (won) {
+      events.push({ type: 'win' });
+    }
+
+    return { state: next, events, scoreDelta: next.score - state.score, won };
+  }
+
+  /**
+   * Take back a move applied by applyMove and return the state before it,
+   * or null if `command` does not match the state. The command describes
+   * what the move did:
+   *   { move, cardIds, flippedCardIds, scoreDelta }
+   * `cardIds` are the cards that moved, as in the move's event (for a
+   * recycle, the whole waste, bottom card first), `flippedCardIds` the card
+   * it turned face up, if any, and `scoreDelta` the result's scoreDelta.
+   * The given state is left untouched.
+   */
+  function revertMove(state, command) {
+    const move = command && command.move;
+    const cardIds = (command && command.cardIds) || [];
+    const flippedCardIds = (command && command.flippedCardIds) || [];
+    if (!move || state.moveCount < 1) {
+      return null;
+    }
+
+    const endsWith = (pile, ids) => ids.length > 0 && ids.length <= pile.length &&
+      ids.every((id, i) => pile[pile.length - ids.length + i].id === id);
+    const next = cloneState(state);
+
+    if (move.type === 'draw') {
+      if (!endsWith(next.waste, cardIds)) return null;
+      // Back face down, the first card drawn on top of the stock again
+      for (let i = 0; i < cardIds.length; i++) {
+        const card = next.waste.pop();
+        card.faceUp = false;
+        next.stock.push(card);
+      }
+    } else if (move.type === 'recycle') {
+      if (next.waste.length > 0 || next.stock.length !== cardIds.length || next.passCount < 2) return null;
+      while (next.stock.length > 0) {
+        const card = next.stock.pop();
+        card.faceUp = true;
+        next.waste.push(card);
+      }
+      next.passCount--;
+    } else if (move.type === 'move') {
+      const from = getPile(next, move.from);
+      const to = getPile(next, move.to);
+      if (!from || !to || !endsWith(to, cardIds)) return null;
+
+      const cards = to.splice(to.length - cardIds.length, cardIds.length);
+      // Turn the uncovered card face down again before covering it
+      if (flippedCardIds.length > 0) {
+        const revealedCard = from[from.length - 1];
+        if (!revealedCard || revealedCard.id !== flippedCardIds[0]) return null;
+        revealedCard.faceUp = false;
+      }
+      from.push(...cards);
+    } else {
+      return null;
+    }
+
+    next.moveCount--;
+    next.score -= command.scoreDelta || 0;
+    return next;
+  }
+
+  // Public API exposed to game scripts, workers and Node.
+  return {
+    createSeededRandom,
+    createDeck,
+    shuffleDeck,
+    createEmptyState,
+    deal,
+    dealLayout,
+    getLayout,
+    cloneState,
+    canMoveToTableau,
+    canMoveToFoundation,
+    canRecycleWaste,
+    getPile,
+    isLegalMove,
+    applyMove,
+    revertMove,
+    isWon,
+  };
+})();
+
+// Attach KlondikeRules to the global object: `window` in pages, `self` in
+// Web Workers, `global` in Node.
+if (typeof globalThis !== "undefined") {
+  globalThis.KlondikeRules = KlondikeRules;
+}
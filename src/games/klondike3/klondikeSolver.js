@@ -0,0 +1,286 @@
+/**************************************************************************
+ * klondikeSolver.js
+ * ----------------
+ * Decides whether a Klondike position can be won, within a time budget.
+ *
+ * Design decisions:
+ * - Depth-first search over KlondikeRules states, so the solver plays by
+ *   exactly the same rules as the game (draw count and pass limit included).
+ * - The stock is not searched card by card. From each position the solver
+ *   only considers waste cards it can actually reach by drawing
+ *   (MoveGenerationEngine.generateReachableWasteMoves), and plays the draws
+ *   and recycles that bring the card up together with the card's move. In
+ *   draw-3 that means only every third card is reachable, as in play.
+ * - Safe foundation moves are played at once without branching (the same
+ *   "obvious" moves autoplay makes).
+ * - Moves that cannot help are pruned: a tableau move must turn over a
+ *   card, empty a column, or uncover a card that can go to a foundation;
+ *   a whole column never moves onto an empty one; aces and twos never come
+ *   back from a foundation.
+ * - A transposition table (positions already searched) stops the search
+ *   from exploring the same position twice, whatever the move order, with
+ *   tableau columns compared regardless of their order.
+ * - Moves are tried best first (foundations, flips in the deepest columns,
+ *   waste cards that need the fewest draws), so most winnable deals are
+ *   solved long before the budget runs out.
+ *
+ * Because of the pruning, "unsolved" means no solution exists among the
+ * moves the solver tries. That is almost always the same as unwinnable, but
+ * it is not a proof.
+ *
+ * Usage:
+ *
+ *     const result = KlondikeSolver.solve(KlondikeRules.deal(seed, { rules }), {
+ *       timeBudgetMs: 1500
+ *     });
+ *     // result.status: "solved" | "unsolved" | "timeout"
+ *     // result.moves:  KlondikeRules moves that win the deal (when solved)
+ *     // result.nodes:  positions searched
+ *
+ * Searching takes the whole budget on hard deals, so pages should run it
+ * in a Web Worker (see klondikeSolverWorker.js). In Node, import the
+ * scripts it needs first (see klondikeRules.js).
+ **************************************************************************/
+
+const KlondikeSolver = (function () {
+
+  const DEFAULT_TIME_BUDGET_MS = 1500;
+  const DEFAULT_MAX_NODES = 200000;
+
+  // How often (in positions) the clock is checked
+  const CLOCK_CHECK_INTERVAL = 256;
+
+  /**************************************************************************
+   * KlondikeRules and MoveGenerationEngine are globals once their scripts
+   * have run. The solver cannot work without them.
+   **************************************************************************/
+  function getRules() {
+    return typeof KlondikeRules !== "undefined" ? KlondikeRules : null;
+  }
+
+  function getMoveGenerator() {
+    return typeof MoveGenerationEngine !== "undefined" ? MoveGenerationEngine : null;
+  }
+
+  /**************************************************************************
+   * Position keys for the transposition table. Every card becomes one
+   * character (face-down cards use a second range), columns are sorted so
+   * their order does not matter, and the pass count only matters when the
+   * number of passes is limited.
+   **************************************************************************/
+  function cardChar(card) {
+    return String.fromCharCode((card.faceUp ? 48 : 112) + card.suit * 13 + card.rank - 1);
+  }
+
+  function pileKey(pile) {
+    let key = "";
+    for (let i = 0; i < pile.length; i++) {
+      key += cardChar(pile[i]);
+    }
+    return key;
+  }
+
+  function positionKey(state) {
+    const columns = state.tableau.map(pileKey).sort().join(",");
+    const foundations = state.foundations.map(pile => pile.length).join("");
+    const passes = state.rules.maxPasses === null ? "" : state.passCount;
+    return `${foundations}|${columns}|${pileKey(state.waste)}|${pileKey(state.stock)}|${passes}`;
+  }
+
+  /**************************************************************************
+   * Strip generator metadata, keeping a plain KlondikeRules move.
+   **************************************************************************/
+  function toRulesMove(move) {
+    if (move.type !== "move") {
+      return { type: move.type };
+    }
+    return { type: "move", from: move.from, to: move.to, count: move.count };
+  }
+
+  /**************************************************************************
+   * Play a candidate move. Reachable waste moves first play the draws (and
+   * recycle) that bring their card to the top of the waste. Returns the new
+   * state and the rules moves played, or null if anything was illegal.
+   **************************************************************************/
+  function playCandidate(state, move) {
+    const rules = getRules();
+    const played = [];
+    let current = state;
+
+    for (let i = 0; i < (move.stockActions || 0); i++) {
+      const stockMove = current.stock.length > 0 ? { type: "draw" } : { type: "recycle" };
+      const result = rules.applyMove(current, stockMove);
+      if (!result) return null;
+      current = result.state;
+      played.push(stockMove);
+    }
+
+    const rulesMove = toRulesMove(move);
+    const result = rules.applyMove(current, rulesMove);
+    if (!result) return null;
+    played.push(rulesMove);
+    return { state: result.state, played };
+  }
+
+  /**************************************************************************
+   * Play safe foundation moves until there are none left. Returns the new
+   * state; the moves are appended to `path`.
+   **************************************************************************/
+  function playSafeMoves(state, path) {
+    const rules = getRules();
+    const generator = getMoveGenerator();
+    let current = state;
+
+    for (;;) {
+      const safe = generator.generateMoves(current, { includeStock: false }).find(move => {
+        if (move.foundationDelta !== 1) return false;
+        const pile = rules.getPile(current, move.from);
+        return generator.isSafeFoundationMove(current, pile[pile.length - 1]);
+      });
+      if (!safe) {
+        return current;
+      }
+      const rulesMove = toRulesMove(safe);
+      current = rules.applyMove(current, rulesMove).state;
+      path.push(rulesMove);
+    }
+  }
+
+  /**************************************************************************
+   * Number of face-down cards in a tableau column.
+   **************************************************************************/
+  function faceDownCount(state, location) {
+    const pile = getRules().getPile(state, location);
+    return pile ? pile.filter(card => !card.faceUp).length : 0;
+  }
+
+  /**************************************************************************
+   * Candidate moves for a position, pruned and sorted best first.
+   **************************************************************************/
+  function getCandidates(state) {
+    const rules = getRules();
+    const generator = getMoveGenerator();
+    const candidates = [];
+
+    const add = (move, score) => candidates.push({ move, score });
+
+    generator.generateMoves(state, { includeStock: false }).forEach(move => {
+      if (move.moveType === "tableau-to-foundation" || move.moveType === "waste-to-foundation") {
+        add(move, 1000 + (move.flipsCard ? 100 : 0));
+      } else if (move.moveType === "tableau-to-tableau") {
+        if (move.emptiesColumn && move.entersEmptyColumn) return;
+        if (move.flipsCard) {
+          add(move, 500 + faceDownCount(state, move.from) * 10);
+        } else if (move.emptiesColumn) {
+          add(move, 300);
+        } else {
+          // A partial run move is only worth it if the card it uncovers can
+          // go to a foundation next
+          const source = rules.getPile(state, move.from);
+          const uncovered = source[source.length - move.count - 1];
+          if (uncovered && rules.canMoveToFoundation(state, uncovered) !== -1) {
+            add(move, 200);
+          }
+        }
+      } else if (move.moveType === "waste-to-tableau") {
+        add(move, 400);
+      } else if (move.moveType === "foundation-to-tableau") {
+        const pile = rules.getPile(state, move.from);
+        if (pile[pile.length - 1].rank > 2) {
+          add(move, 0);
+        }
+      }
+    });
+
+    generator.generateReachableWasteMoves(state).forEach(move => {
+      const base = move.foundationDelta === 1 ? 900 : 350;
+      add(move, base - move.stockActions);
+    });
+
+    // Stable sort: equal scores keep the generator's order
+    return candidates
+      .sort((a, b) => b.score - a.score)
+      .map(candidate => candidate.move);
+  }
+
+  /**************************************************************************
+   * Search for a sequence of moves that wins `state`.
+   *
+   * Options:
+   * - timeBudgetMs: give up after this long (default 1500)
+   * - maxNodes: give up after searching this many positions (default 200000)
+   *
+   * Returns { status, moves, nodes }: status is "solved" (moves wins the
+   * deal from `state`), "unsolved" (the search finished without a solution)
+   * or "timeout" (the budget ran out first). moves is null unless solved.
+   **************************************************************************/
+  function solve(state, options = {}) {
+    const rules = getRules();
+    if (!rules || !getMoveGenerator() || !state) {
+      return { status: "timeout", moves: null, nodes: 0 };
+    }
+
+    const timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+    const maxNodes = options.maxNodes || DEFAULT_MAX_NODES;
+    const deadline = Date.now() + timeBudgetMs;
+    const seen = new Set();
+    const path = [];
+    let nodes = 0;
+    let outOfBudget = false;
+
+    // Returns true when `path` holds a winning line from `start`
+    function search(start) {
+      const pathLength = path.length;
+      const current = playSafeMoves(start, path);
+
+      if (rules.isWon(current)) {
+        return true;
+      }
+
+      const key = positionKey(current);
+      if (seen.has(key)) {
+        path.length = pathLength;
+        return false;
+      }
+      seen.add(key);
+
+      nodes++;
+      if (nodes >= maxNodes ||
+          (nodes % CLOCK_CHECK_INTERVAL === 0 && Date.now() > deadline)) {
+        outOfBudget = true;
+      }
+
+      const candidates = getCandidates(current);
+      for (let i = 0; i < candidates.length && !outOfBudget; i++) {
+        const next = playCandidate(current, candidates[i]);
+        if (!next) continue;
+
+        const beforeMove = path.length;
+        path.push(...next.played);
+        if (search(next.state)) {
+          return true;
+        }
+        path.length = beforeMove;
+      }
+
+      path.length = pathLength;
+      return false;
+    }
+
+    if (search(state)) {
+      return { status: "solved", moves: path.slice(), nodes };
+    }
+    return { status: outOfBudget ? "timeout" : "unsolved", moves: null, nodes };
+  }
+
+  // Public API exposed to game scripts, workers and Node.
+  return {
+    solve,
+  };
+})();
+
+// Attach KlondikeSolver to the global object: `window` in pages, `self` in
+// Web Workers, `global` in Node.
+if (typeof globalThis !== "undefined") {
+  globalThis.KlondikeSolver = KlondikeSolver;
+}
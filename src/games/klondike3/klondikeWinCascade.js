@@ -0,0 +1,299 @@
+/**
+ * Klondike Win Cascade
+ * The classic celebration of a won game: the cards leave the foundations
+ * one after another, Kings first, and bounce across the table, leaving a
+ * trail behind them.
+ *
+ * The cards are drawn on a canvas laid over the stage, so the board itself
+ * is left alone. A click, tap or key press skips the rest. Nothing is shown
+ * when animations are off or motion is reduced (by default when the system
+ * asks for reduced motion).
+ *
+ * Usage:
+ *
+ *     const cascade = new KlondikeWinCascade(stage, {
+ *       animationsEnabled: true,
+ *       reducedMotion: false
+ *     });
+ *     cascade.play().then((finished) => {
+ *       // finished is false if destroy() stopped it (e.g. a new deal)
+ *     });
+ *     // ...
+ *     cascade.destroy();
+ */
+
+class KlondikeWinCascade {
+  /**
+   * @param {HTMLElement} stage - Element holding the board; the canvas covers it
+   * @param {Object} options
+   * @param {boolean} options.animationsEnabled - Play the cascade (default true)
+   * @param {boolean} options.reducedMotion - Skip the cascade (default: the
+   *   system's reduced-motion preference)
+   */
+  constructor(stage, options = {}) {
+    this.stage = stage;
+    this.animationsEnabled = options.animationsEnabled !== false;
+    this.reducedMotion = typeof options.reducedMotion === 'boolean'
+      ? options.reducedMotion
+      : KlondikeWinCascade.prefersReducedMotion();
+
+    this.canvas = null;
+    this.context = null;
+    this.cards = [];
+    this.nextCard = 0;
+    this.lastLaunchTime = 0;
+    this.lastFrameTime = 0;
+    this.frameRequest = null;
+    this.resolvePlay = null;
+    this.eventListeners = [];
+  }
+
+  /**
+   * Time between two cards leaving the foundations
+   */
+  static get LAUNCH_INTERVAL_MS() {
+    return 120;
+  }
+
+  /**
+   * Downward pull, in pixels per frame per frame (at 60 frames a second)
+   */
+  static get GRAVITY() {
+    return 0.7;
+  }
+
+  /**
+   * Share of its speed a card keeps when it bounces off the bottom
+   */
+  static get BOUNCE() {
+    return 0.75;
+  }
+
+  /**
+   * True when the system asks for reduced motion
+   */
+  static prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Play the cascade from the foundations on the stage.
+   * @returns {Promise<boolean>} Resolves once it is over: true when it ran
+   *   to its end, was skipped or was not shown at all, false when destroy()
+   *   stopped it
+   */
+  play() {
+    if (this.resolvePlay) {
+      return Promise.resolve(false);
+    }
+    if (!this.stage || !this.animationsEnabled || this.reducedMotion) {
+      return Promise.resolve(true);
+    }
+
+    const stageRect = this.stage.getBoundingClientRect();
+    const foundations = [0, 1, 2, 3].map(i => this.stage.querySelector(`[data-pile-id="foundation-${i}"]`));
+    if (foundations.some(foundation => !foundation) || stageRect.width === 0) {
+      return Promise.resolve(true);
+    }
+
+    // Kings first, one from each foundation in turn, down to the Aces
+    for (let rank = 13; rank >= 1; rank--) {
+      foundations.forEach((foundation, suit) => {
+        const rect = foundation.getBoundingClientRect();
+        this.cards.push({
+          suit,
+          rank,
+          x: rect.left - stageRect.left,
+          y: rect.top - stageRect.top,
+          width: rect.width,
+          height: rect.height
+        });
+      });
+    }
+
+    this.mountCanvas(stageRect);
+    this.attachEventListeners();
+
+    return new Promise((resolve) => {
+      this.resolvePlay = resolve;
+      this.frameRequest = requestAnimationFrame(time => this.step(time));
+    });
+  }
+
+  /**
+   * Internal helper: lay the canvas over the stage, sharp on high-density
+   * screens
+   */
+  mountCanvas(stageRect) {
+    const scale = window.devicePixelRatio || 1;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'klondike-win-cascade';
+    this.canvas.setAttribute('aria-hidden', 'true');
+    this.canvas.width = Math.round(stageRect.width * scale);
+    this.canvas.height = Math.round(stageRect.height * scale);
+    this.canvas.style.width = `${stageRect.width}px`;
+    this.canvas.style.height = `${stageRect.height}px`;
+    this.width = stageRect.width;
+    this.height = stageRect.height;
+
+    this.context = this.canvas.getContext('2d');
+    if (this.context) {
+      this.context.scale(scale, scale);
+    }
+    this.stage.appendChild(this.canvas);
+  }
+
+  /**
+   * Internal helper: skip on a click, tap or key press anywhere
+   */
+  attachEventListeners() {
+    const skipHandler = (e) => {
+      // Eat the event: it only means "skip", not a move or a shortcut
+      e.preventDefault();
+      e.stopPropagation();
+      this.finish(true);
+    };
+
+    document.addEventListener('pointerdown', skipHandler, true);
+    document.addEventListener('keydown', skipHandler, true);
+    this.eventListeners.push(
+      { element: document, event: 'pointerdown', handler: skipHandler },
+      { element: document, event: 'keydown', handler: skipHandler }
+    );
+  }
+
+  /**
+   * Internal helper: one animation frame. Launches the next card when it
+   * is due and moves the cards in flight. The canvas is never cleared, so
+   * every card leaves a trail.
+   */
+  step(time) {
+    this.frameRequest = null;
+    if (!this.context) {
+      this.finish(true);
+      return;
+    }
+
+    // Movement is scaled to 60 frames a second, and a long pause (a
+    // background tab) does not make the cards jump
+    const frames = this.lastFrameTime ? Math.min((time - this.lastFrameTime) / (1000 / 60), 3) : 1;
+    this.lastFrameTime = time;
+
+    if (this.nextCard < this.cards.length &&
+        time - this.lastLaunchTime >= KlondikeWinCascade.LAUNCH_INTERVAL_MS) {
+      const card = this.cards[this.nextCard++];
+      // Off to the left or the right, with a little hop
+      const direction = Math.random() < 0.5 ? -1 : 1;
+      card.vx = direction * (3 + Math.random() * 4);
+      card.vy = -Math.random() * 8;
+      card.flying = true;
+      this.lastLaunchTime = time;
+    }
+
+    let inFlight = 0;
+    this.cards.forEach(card => {
+      if (!card.flying) return;
+
+      card.vy += KlondikeWinCascade.GRAVITY * frames;
+      card.x += card.vx * frames;
+      card.y += card.vy * frames;
+      if (card.y + card.height > this.height) {
+        card.y = this.height - card.height;
+        card.vy = -card.vy * KlondikeWinCascade.BOUNCE;
+      }
+
+      if (card.x + card.width < 0 || card.x > this.width) {
+        card.flying = false;
+        return;
+      }
+      inFlight++;
+      this.drawCard(card);
+    });
+
+    if (inFlight === 0 && this.nextCard >= this.cards.length) {
+      this.finish(true);
+      return;
+    }
+    this.frameRequest = requestAnimationFrame(nextTime => this.step(nextTime));
+  }
+
+  /**
+   * Internal helper: draw a card face at the card's position, in the
+   * colours of the board's cards
+   */
+  drawCard(card) {
+    const ctx = this.context;
+    const { x, y, width, height } = card;
+    const radius = 5;
+    const ranks = ['', 'A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+    const suits = ['♥', '♦', '♣', '♠'];
+
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.strokeStyle = '#333333';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    ctx.fillStyle = card.suit < 2 ? '#d32f2f' : '#333333';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.font = `bold ${Math.round(width * 0.22)}px sans-serif`;
+    ctx.fillText(`${ranks[card.rank]}${suits[card.suit]}`, x + width * 0.08, y + height * 0.06);
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    ctx.font = `${Math.round(width * 0.5)}px sans-serif`;
+    ctx.fillText(suits[card.suit], x + width / 2, y + height * 0.58);
+  }
+
+  /**
+   * Internal helper: stop, remove the canvas and settle play()'s promise
+   */
+  finish(finished) {
+    if (this.frameRequest) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler, true);
+    });
+    this.eventListeners = [];
+    if (this.canvas) {
+      this.canvas.remove();
+      this.canvas = null;
+      this.context = null;
+    }
+
+    const resolve = this.resolvePlay;
+    this.resolvePlay = null;
+    if (resolve) {
+      resolve(finished);
+    }
+  }
+
+  /**
+   * Skip the rest of the cascade, as a click would
+   */
+  skip() {
+    this.finish(true);
+  }
+
+  /**
+   * Stop the cascade without it counting as finished (e.g. a new deal was
+   * started meanwhile)
+   */
+  destroy() {
+    this.finish(false);
+    this.stage = null;
+  }
+}
+
+// Make the cascade available globally
+window.KlondikeWinCascade = KlondikeWinCascade;
@@ -0,0 +1,448 @@
+/**************************************************************************
+ * moveGenerationEngine.js
+ * ----------------
+ * Lists every legal move in a Klondike position, with metadata that hints,
+ * autoplay and solvers use to rank them.
+ *
+ * Design decisions:
+ * - Built on KlondikeRules: the generator never decides legality itself
+ *   beyond walking the piles, so it cannot disagree with real play.
+ * - Pure and DOM-free, like the rules: a state goes in, plain move objects
+ *   come out, nothing is mutated. Runs in pages, Web Workers and Node
+ *   (see klondikeRules.js for loading it there).
+ * - Complete: every card of a movable run can be the base of a move, not
+ *   just the top card, and stock draws and recycles are moves too.
+ * - Moves are returned in a fixed order (waste, tableau, foundation, stock)
+ *   so the same position always yields the same list. Ranking is left to
+ *   the caller.
+ *
+ * Move objects are KlondikeRules moves ({ type, from, to, count }) that
+ * can be passed straight to `KlondikeRules.applyMove`, plus metadata:
+ *
+ *   moveType          'waste-to-tableau', 'tableau-to-foundation', ...,
+ *                     'draw' or 'recycle'
+ *   cardIds           Ids of the cards that move (base card first); empty
+ *                     for stock moves
+ *   flipsCard         True if the move uncovers a face-down tableau card
+ *   emptiesColumn     True if the source tableau column ends up empty
+ *   entersEmptyColumn True if the cards go onto an empty tableau column
+ *   foundationDelta   Foundation progress: +1 onto a foundation, -1 off
+ *                     one, 0 otherwise
+ *
+ * Reachable waste moves (see generateReachableWasteMoves) additionally
+ * carry `stockActions`: how many draws/recycles it takes before the card
+ * is on top of the waste and the move can be played.
+ *
+ * Example:
+ *
+ *     const moves = MoveGenerationEngine.generateMoves(gameState);
+ *     const flips = moves.filter(move => move.flipsCard);
+ *     const result = KlondikeRules.applyMove(gameState, flips[0]);
+ **************************************************************************/
+
+// IIFE (Immediately Invoked Function Expression) used to keep internal
+// variables private while exposing a small public API.
+const MoveGenerationEngine = (function () {
+
+   /**************************************************************************
+   * KlondikeRules is a global once its script has run. The generator
+   * cannot work without it.
+   **************************************************************************/
+  function getRules() {
+    return typeof KlondikeRules !== "undefined" ? KlondikeRules : null;
+  }
+
+   /**************************************************************************
+   * Build a card move with its metadata. Legality is checked by the
+   * caller; this only describes the move.
+   **************************************************************************/
+  function createCardMove(state, from, to, count) {
+    const rules = getRules();
+    const source = rules.getPile(state, from);
+    const target = rules.getPile(state, to);
+    const cards = source.slice(source.length - count);
+    const sourceZone = from.split("-")[0];
+    const targetZone = to.split("-")[0];
+    const newTop = source[source.length - count - 1];
+
+    return {
+      type: "move",
+      from,
+      to,
+      count,
+      moveType: `${sourceZone}-to-${targetZone}`,
+      cardIds: cards.map(card => card.id),
+      flipsCard: sourceZone === "tableau" && !!newTop && !newTop.faceUp,
+      emptiesColumn: sourceZone === "tableau" && count === source.length,
+      entersEmptyColumn: targetZone === "tableau" && target.length === 0,
+      foundationDelta: targetZone === "foundation" ? 1 : sourceZone === "foundation" ? -1 : 0,
+    };
+  }
+
+   /**************************************************************************
+   * Build a stock move (draw or recycle) with its metadata.
+   **************************************************************************/
+  function createStockMove(type) {
+    return {
+      type,
+      moveType: type,
+      cardIds: [],
+      flipsCard: false,
+      emptiesColumn: false,
+      entersEmptyColumn: false,
+      foundationDelta: 0,
+    };
+  }
+
+   /**************************************************************************
+   * Moves of the top waste card: to its foundation, then to each tableau
+   * column from the left.
+   **************************************************************************/
+  function generateWasteMoves(state) {
+    const rules = getRules();
+    const moves = [];
+    if (state.waste.length === 0) {
+      return moves;
+    }
+
+    const card = state.waste[state.waste.length - 1];
+    const foundationIndex = rules.canMoveToFoundation(state, card);
+    if (foundationIndex !== -1) {
+      moves.push(createCardMove(state, "waste", `foundation-${foundationIndex}`, 1));
+    }
+    for (let col = 0; col < state.tableau.length; col++) {
+      if (rules.canMoveToTableau(state, [card], col)) {
+        moves.push(createCardMove(state, "waste", `tableau-${col}`, 1));
+      }
+    }
+    return moves;
+  }
+
+   /**************************************************************************
+   * Moves out of the tableau. Every face-up card that heads a movable run
+   * can be the base of a move to another column; only the top card can go
+   * to a foundation.
+   **************************************************************************/
+  function generateTableauMoves(state) {
+    const rules = getRules();
+    const moves = [];
+
+    state.tableau.forEach((column, colIndex) => {
+      const from = `tableau-${colIndex}`;
+      if (column.length === 0) {
+        return;
+      }
+
+      const top = column[column.length - 1];
+      const foundationIndex = top.faceUp ? rules.canMoveToFoundation(state, top) : -1;
+      if (foundationIndex !== -1) {
+        moves.push(createCardMove(state, from, `foundation-${foundationIndex}`, 1));
+      }
+
+      // Any face-up card can be the base of a run move (the rules keep the
+      // face-up part of a column in sequence). Deepest base first, so
+      // whole-run moves (the ones that can flip a card) come before partial
+      // ones.
+      const firstFaceUp = column.findIndex(card => card.faceUp);
+      if (firstFaceUp === -1) {
+        return;
+      }
+      for (let start = firstFaceUp; start < column.length; start++) {
+        const run = column.slice(start);
+        for (let col = 0; col < state.tableau.length; col++) {
+          if (col !== colIndex && rules.canMoveToTableau(state, run, col)) {
+            moves.push(createCardMove(state, from, `tableau-${col}`, run.length));
+          }
+        }
+      }
+    });
+
+    return moves;
+  }
+
+   /**************************************************************************
+   * Moves of a foundation's top card back to the tableau.
+   **************************************************************************/
+  function generateFoundationMoves(state) {
+    const rules = getRules();
+    const moves = [];
+
+    state.foundations.forEach((foundation, foundationIndex) => {
+      if (foundation.length === 0) {
+        return;
+      }
+      const card = foundation[foundation.length - 1];
+      for (let col = 0; col < state.tableau.length; col++) {
+        if (rules.canMoveToTableau(state, [card], col)) {
+          moves.push(createCardMove(state, `foundation-${foundationIndex}`, `tableau-${col}`, 1));
+        }
+      }
+    });
+
+    return moves;
+  }
+
+   /**************************************************************************
+   * The stock move available, if any: a draw, or a recycle once the stock
+   * is empty and the pass limit allows it.
+   **************************************************************************/
+  function generateStockMoves(state) {
+    const rules = getRules();
+    if (state.stock.length > 0) {
+      return [createStockMove("draw")];
+    }
+    if (rules.canRecycleWaste(state)) {
+      return [createStockMove("recycle")];
+    }
+    return [];
+  }
+
+   /**************************************************************************
+   * List every legal move in `state`.
+   *
+   * Options:
+   * - includeStock (default true): include the draw or recycle move.
+   *
+   * Returns an empty array when the rules module is missing.
+   **************************************************************************/
+  function generateMoves(state, options = {}) {
+    if (!getRules() || !state) {
+      return [];
+    }
+
+    const moves = [
+      ...generateWasteMoves(state),
+      ...generateTableauMoves(state),
+      ...generateFoundationMoves(state),
+    ];
+    if (options.includeStock !== false) {
+      moves.push(...generateStockMoves(state));
+    }
+    return moves;
+  }
+
+   /**************************************************************************
+   * The waste cards that drawing can bring to the top of the waste, in the
+   * order they come up, with the number of stock actions (draws and
+   * recycles) needed. The current top card is included with 0 actions.
+   *
+   * Only stock actions are simulated: the tableau and foundations stay as
+   * they are. The simulation goes through the rest of the stock, recycles
+   * once if the pass limit allows, and goes through the whole stock again;
+   * after that the same cards would come up again.
+   **************************************************************************/
+  function getReachableWasteCards(state) {
+    const rules = getRules();
+    const reachable = [];
+    if (!rules || !state) {
+      return reachable;
+    }
+
+    const seen = new Set();
+    const sim = {
+      ...state,
+      stock: state.stock.slice(),
+      waste: state.waste.slice(),
+    };
+    let stockActions = 0;
+    let recycles = 0;
+
+    const noteTop = () => {
+      const top = sim.waste[sim.waste.length - 1];
+      if (top && !seen.has(top.id)) {
+        seen.add(top.id);
+        reachable.push({ card: top, stockActions });
+      }
+    };
+
+    noteTop();
+    for (;;) {
+      if (sim.stock.length > 0) {
+        const drawCount = Math.min(sim.rules.drawCount, sim.stock.length);
+        for (let i = 0; i < drawCount; i++) {
+          sim.waste.push(sim.stock.pop());
+        }
+      } else if (recycles === 0 && rules.canRecycleWaste(sim)) {
+        while (sim.waste.length > 0) {
+          sim.stock.push(sim.waste.pop());
+        }
+        sim.passCount++;
+        recycles++;
+      } else {
+        break;
+      }
+      stockActions++;
+      noteTop();
+    }
+
+    return reachable;
+  }
+
+   /**************************************************************************
+   * Waste moves that become legal once drawing brings their card to the top
+   * of the waste. Each move has `stockActions` > 0; it cannot be applied
+   * until that many draws/recycles have been played.
+   **************************************************************************/
+  function generateReachableWasteMoves(state) {
+    const moves = [];
+
+    getReachableWasteCards(state).forEach(({ card, stockActions }) => {
+      if (stockActions === 0) {
+        return;
+      }
+      // Only the waste top matters to the waste moves, so a one-card waste
+      // stands in for the simulated stock/waste
+      const view = { ...state, waste: [card] };
+      generateWasteMoves(view).forEach(move => {
+        moves.push({ ...move, stockActions });
+      });
+    });
+
+    return moves;
+  }
+
+   /**************************************************************************
+   * A foundation move is "safe" (obvious) when no tableau card could ever
+   * need the card as a landing spot:
+   * - Aces and twos are always safe.
+   * - Otherwise the card may be at most two ranks above the lowest
+   *   opposite-colour foundation, and the other same-colour foundation must
+   *   be within three ranks (so the opposite-colour cards one rank lower can
+   *   still be played without it).
+   * Autoplay and solvers play safe moves without considering alternatives.
+   **************************************************************************/
+  function isSafeFoundationMove(state, card) {
+    if (card.rank <= 2) {
+      return true;
+    }
+
+    // Suits: 0=Hearts, 1=Diamonds (red), 2=Clubs, 3=Spades (black)
+    const isRed = card.suit === 0 || card.suit === 1;
+    const oppositeSuits = isRed ? [2, 3] : [0, 1];
+    const sameColourOtherSuit = isRed ? 1 - card.suit : 5 - card.suit;
+
+    const lowestOpposite = Math.min(
+      ...oppositeSuits.map(suit => state.foundations[suit].length)
+    );
+    const sameColourOther = state.foundations[sameColourOtherSuit].length;
+
+    return card.rank <= lowestOpposite + 2 && card.rank <= sameColourOther + 3;
+  }
+
+   /**************************************************************************
+   * A move makes progress by itself when it puts a card on a foundation,
+   * turns over a tableau card, takes a card out of the stock (waste to
+   * tableau) or empties a column.
+   **************************************************************************/
+  function isProgressMove(move) {
+    return move.foundationDelta === 1 ||
+      move.flipsCard ||
+      move.moveType === "waste-to-tableau" ||
+      (move.emptiesColumn && !move.entersEmptyColumn);
+  }
+
+  // Most rearranged positions findProductiveMove looks at before giving up
+  // and calling the position not stuck
+  const MAX_REARRANGED_POSITIONS = 5000;
+
+  function countFoundationCards(state) {
+    return state.foundations.reduce((sum, pile) => sum + pile.length, 0);
+  }
+
+  function countEmptyColumns(state) {
+    return state.tableau.filter(column => column.length === 0).length;
+  }
+
+  // Rearranging moves only change the tableau and the foundations
+  function rearrangedKey(state) {
+    return state.tableau.map(column => column.map(card => card.id).join(",")).join("|") +
+      "/" + state.foundations.map(pile => pile.length).join(",");
+  }
+
+   /**************************************************************************
+   * Find a move that gets the game somewhere, or null when the position is
+   * stuck.
+   *
+   * Progress moves (see isProgressMove) count directly, including waste
+   * cards that drawing can bring up: cycling through the whole stock
+   * without playing anything is not progress. Otherwise the moves that only
+   * rearrange cards (a run to another column, a card back from a
+   * foundation) are searched, breadth first and without visiting a
+   * position twice, until one leads to real progress: a card turned over,
+   * a waste card played, or more cards on the foundations or more empty
+   * columns than at the start. The first move of that line is returned.
+   * A search too large to finish does not call the position stuck.
+   **************************************************************************/
+  function findProductiveMove(state) {
+    const rules = getRules();
+    if (!rules || !state) {
+      return null;
+    }
+
+    const candidates = (position) => [
+      ...generateMoves(position, { includeStock: false }),
+      ...generateReachableWasteMoves(position),
+    ];
+
+    const moves = candidates(state);
+    const direct = moves.find(isProgressMove);
+    if (direct) {
+      return direct;
+    }
+
+    const foundationCards = countFoundationCards(state);
+    const emptyColumns = countEmptyColumns(state);
+    const makesProgress = (move, position) => {
+      // A card out of the waste (maybe after some draws) is always progress
+      if (move.flipsCard || move.moveType === "waste-to-tableau" || move.moveType === "waste-to-foundation") {
+        return true;
+      }
+      const result = rules.applyMove(position, move);
+      return !!result && (
+        countFoundationCards(result.state) > foundationCards ||
+        countEmptyColumns(result.state) > emptyColumns
+      );
+    };
+
+    const visited = new Set([rearrangedKey(state)]);
+    const queue = [{ position: state, firstMove: null }];
+    for (let i = 0; i < queue.length; i++) {
+      const { position, firstMove } = queue[i];
+      const positionMoves = i === 0 ? moves : candidates(position);
+
+      for (const move of positionMoves) {
+        if (i > 0 && makesProgress(move, position)) {
+          return firstMove;
+        }
+        if (move.stockActions) continue;
+
+        const result = rules.applyMove(position, move);
+        if (!result) continue;
+        const key = rearrangedKey(result.state);
+        if (visited.has(key)) continue;
+        visited.add(key);
+        if (visited.size > MAX_REARRANGED_POSITIONS) {
+          return firstMove || move;
+        }
+        queue.push({ position: result.state, firstMove: firstMove || move });
+      }
+    }
+
+    return null;
+  }
+
+  // Public API exposed to game scripts, workers and Node.
+  return {
+    generateMoves,
+    isSafeFoundationMove,
+    getReachableWasteCards,
+    generateReachableWasteMoves,
+    findProductiveMove,
+  };
+})();
+
+// Attach MoveGenerationEngine to the global object: `window` in pages,
+// `self` in Web Workers, `global` in Node.
+if (typeof globalThis !== "undefined") {
+  globalThis.MoveGenerationEngine = MoveGenerationEngine;
+}
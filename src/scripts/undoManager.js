@@ -4,9 +4,19 @@
  * Shared in memory undo manager for all solitaire games.
  *
  * Design decisions:
- * - Pure in memory: no localStorage, no server calls.
- * - Game agnostic: it stores opaque "snapshots". It does not know about cards or piles.
- * - One logical move = one snapshot. Undo always goes back exactly one move.
+ * - Pure in memory: no localStorage, no server calls. Games that save a deal
+ *   can read the history with `exportHistory()` and put it back with
+ *   `importHistory()`; where it is stored is up to the game.
+ * - Game agnostic: it stores opaque "snapshots" or "commands". It does not
+ *   know about cards or piles.
+ * - One logical move = one snapshot (or command). Undo always goes back
+ *   exactly one move.
+ * - Undone states are kept on a redo stack until the next new move, so an
+ *   accidental Undo can be reversed with Redo.
+ * - Observable: UI can `subscribe()` to change events instead of polling
+ *   `canUndo()`, to enable or disable its Undo/Redo buttons.
+ * - Optional undo limit per game (`setUndoLimit`), for modes that allow
+ *   few or no take-backs.
  *
  * How games are expected to use this:
  *
@@ -37,9 +47,50 @@
  *    If there is no previous state, `undo()` returns `null` and the game should
  *    do nothing or keep the Undo button disabled.
  *
+ *    To support Redo, pass the current state to `undo(gameState)`. It is kept
+ *    on the redo stack, and `redo(gameState)` brings it back:
+ *
+ *        const next = UndoManager.redo(gameState);
+ *        if (next) {
+ *          gameState = next;
+ *          renderFromState(gameState);
+ *        }
+ *
+ *    Any new `pushSnapshot` clears the redo stack: after a new move, the
+ *    undone moves are no longer reachable.
+ *
  * 4) When starting a completely new deal or changing game mode, the game calls
  *    `UndoManager.reset()` to clear old history.
  *
+ * Commands instead of snapshots:
+ *
+ *    A game that can take a move back by itself can push a small "command"
+ *    after each move instead of a whole state before it. A command is plain
+ *    data describing the move and what it changed (cards moved, card turned
+ *    over, score delta), so each step costs the same however big the state
+ *    is. The game reverts and re-applies commands itself:
+ *
+ *        const result = applyMove(gameState, move);
+ *        UndoManager.pushCommand(commandFor(move, result));
+ *
+ *        const command = UndoManager.undoCommand();   // now on the redo stack
+ *        if (command) gameState = revert(gameState, command);
+ *
+ *        const command = UndoManager.redoCommand();   // back in the history
+ *        if (command) gameState = applyMove(gameState, command.move);
+ *
+ *    Snapshots and commands should not be mixed in one game.
+ *
+ * Change events:
+ *
+ *    `subscribe(listener)` calls the listener at once, then after every
+ *    change, with { size, redoSize, canUndo, canRedo, undoLimit, undosUsed,
+ *    undosLeft } (see getState). It returns a function that unsubscribes:
+ *
+ *        const unsubscribe = UndoManager.subscribe(state => {
+ *          undoButton.disabled = !state.canUndo;
+ *        });
+ *
  * Notes about cloning:
  * - We store a deep copy of the state so future mutations do not affect history.
  * - We try to use `structuredClone` where available because it is fast and
@@ -59,11 +110,28 @@ const UndoManager = (function () {
 
   let history = [];
 
+  // States that were undone, most recent last. Cleared by any new move.
+  let redoStack = [];
+
   // Safety cap for history length.
   // Solitaire states are small, but we still keep an upper bound.
   // If you want unlimited history, set this to `Infinity` in init.
+  // Commands are never capped: each costs the same small amount, so a long
+  // game stays fully undoable.
   let maxHistory = 500;
 
+  // True once the history holds commands (pushCommand, or importHistory
+  // with `commands`) rather than snapshots, until the next reset.
+  let holdsCommands = false;
+
+  // Undos allowed per game: null for no limit, 0 for no undo at all.
+  // `undosUsed` counts the undos since the last reset.
+  let undoLimit = null;
+  let undosUsed = 0;
+
+  // Change listeners registered with subscribe()
+  let listeners = [];
+
    /**************************************************************************
    * Deep clone helper.
    *
@@ -97,10 +165,83 @@ const UndoManager = (function () {
    **************************************************************************/
   function reset() {
     history = [];
+    redoStack = [];
+    undosUsed = 0;
+    holdsCommands = false;
+    notify();
+  }
+
+  // Internal helper: enforce the snapshot cap by dropping the oldest
+  // entries first. Command histories are left whole.
+  function trimHistory() {
+    if (!holdsCommands && history.length > maxHistory) {
+      history.splice(0, history.length - maxHistory);
+    }
+  }
+
+   /**************************************************************************
+   * Current undo availability, as passed to subscribers:
+   * - size / redoSize: entries on the undo history / redo stack
+   * - canUndo / canRedo: as the functions of the same name
+   * - undoLimit: see setUndoLimit
+   * - undosUsed: undos made since the last reset
+   * - undosLeft: undos still allowed this game, or null without a limit
+   **************************************************************************/
+  function getState() {
+    return {
+      size: history.length,
+      redoSize: redoStack.length,
+      canUndo: canUndo(),
+      canRedo: canRedo(),
+      undoLimit,
+      undosUsed,
+      undosLeft: undoLimit === null ? null : Math.max(0, undoLimit - undosUsed),
+    };
+  }
+
+   /**************************************************************************
+   * Register a change listener. It is called right away with the current
+   * state, then after every change. Returns the function that removes it.
+   **************************************************************************/
+  function subscribe(listener) {
+    if (typeof listener !== "function") {
+      return function () {};
+    }
+
+    listeners.push(listener);
+    listener(getState());
+    return function unsubscribe() {
+      listeners = listeners.filter(other => other !== listener);
+    };
+  }
+
+  // Internal helper: tell every subscriber about a change.
+  function notify() {
+    if (listeners.length === 0) {
+      return;
+    }
+
+    const state = getState();
+    listeners.slice().forEach(listener => listener(state));
   }
 
    /**************************************************************************
-   * Optional: configure the maximum number of snapshots to keep.
+   * Limit how many moves may be undone per game (counted until the next
+   * `reset()`). `null` removes the limit, 0 turns Undo off. Redo is never
+   * limited; redoing a move does not give its undo back.
+   **************************************************************************/
+  function setUndoLimit(limit) {
+    if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+      return;
+    }
+
+    undoLimit = limit;
+    notify();
+  }
+
+   /**************************************************************************
+   * Optional: configure the maximum number of snapshots to keep. Commands
+   * are not capped.
    *
    * For solitaire, you can usually keep a fairly high number. The default is
    * 500 which should be safe. If you see memory issues on very old devices,
@@ -112,9 +253,8 @@ const UndoManager = (function () {
 
       // If the new limit is lower than the current size, trim from the front
       // (oldest states are discarded first).
-      if (history.length > maxHistory) {
-        history = history.slice(history.length - maxHistory);
-      }
+      trimHistory();
+      notify();
     }
   }
 
@@ -136,20 +276,36 @@ const UndoManager = (function () {
 
     history.push(cloned);
 
+    // A new move starts a new branch of history: undone moves are gone.
+    redoStack = [];
+
     // Enforce history length cap by dropping the oldest entries first.
-    if (history.length > maxHistory) {
-      const overflow = history.length - maxHistory;
-      history.splice(0, overflow);
+    trimHistory();
+
+    notify();
+  }
+
+   /**************************************************************************
+   * Push the command for a move that was just applied (see "Commands
+   * instead of snapshots" above). Like a snapshot, it is copied, and it
+   * clears the redo stack, but the history length is not capped.
+   **************************************************************************/
+  function pushCommand(command) {
+    if (command != null) {
+      holdsCommands = true;
     }
+    pushSnapshot(command);
   }
 
    /**************************************************************************
-   * Returns true if there is at least one previous state to undo to.
+   * Returns true if there is at least one previous state to undo to, and
+   * the undo limit (if any) is not used up.
    *
-   * Use this to enable or disable the Undo button in the UI.
+   * Use this to enable or disable the Undo button in the UI, or subscribe
+   * to change events.
    **************************************************************************/
   function canUndo() {
-    return history.length > 0;
+    return history.length > 0 && (undoLimit === null || undosUsed < undoLimit);
   }
 
    /**************************************************************************
@@ -159,15 +315,91 @@ const UndoManager = (function () {
    * - treating the returned value as the new gameState
    * - re rendering the game from that state
    *
+   * Pass the current state as `currentSnapshot` to make this step redoable.
+   *
    * If there is no history, returns null.
    **************************************************************************/
-  function undo() {
+  function undo(currentSnapshot) {
     if (!canUndo()) {
       return null;
     }
 
+    if (currentSnapshot != null) {
+      redoStack.push(cloneState(currentSnapshot));
+    }
+
     // Last snapshot in the array represents the state before the last move.
-    return history.pop();
+    const previous = history.pop();
+    undosUsed++;
+    notify();
+    return previous;
+  }
+
+   /**************************************************************************
+   * Returns true if there is at least one undone state to redo.
+   *
+   * Use this to enable or disable the Redo button in the UI.
+   **************************************************************************/
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+   /**************************************************************************
+   * Pop and return the most recently undone state.
+   *
+   * `currentSnapshot` is the state being left; it goes back onto the undo
+   * history so the redone move can be undone again.
+   *
+   * If there is nothing to redo, returns null.
+   **************************************************************************/
+  function redo(currentSnapshot) {
+    if (!canRedo()) {
+      return null;
+    }
+
+    if (currentSnapshot != null) {
+      history.push(cloneState(currentSnapshot));
+      trimHistory();
+    }
+
+    const next = redoStack.pop();
+    notify();
+    return next;
+  }
+
+   /**************************************************************************
+   * Pop and return the most recent command. It moves to the redo stack, so
+   * `redoCommand()` can hand it back. The caller reverts it.
+   *
+   * If there is no history, returns null.
+   **************************************************************************/
+  function undoCommand() {
+    if (!canUndo()) {
+      return null;
+    }
+
+    const command = history.pop();
+    redoStack.push(command);
+    undosUsed++;
+    notify();
+    return command;
+  }
+
+   /**************************************************************************
+   * Pop and return the most recently undone command, putting it back into
+   * the history. The caller applies it again.
+   *
+   * If there is nothing to redo, returns null.
+   **************************************************************************/
+  function redoCommand() {
+    if (!canRedo()) {
+      return null;
+    }
+
+    const command = redoStack.pop();
+    history.push(command);
+    notify();
+    return command;
   }
 
    /**************************************************************************
@@ -179,14 +411,51 @@ const UndoManager = (function () {
     return history.length;
   }
 
+   /**************************************************************************
+   * Return a deep copy of the whole history (oldest first), for saving a
+   * game in progress.
+   **************************************************************************/
+  function exportHistory() {
+    return history.map(cloneState);
+  }
+
+   /**************************************************************************
+   * Replace the history with previously exported snapshots, for resuming a
+   * saved game. Anything that is not an array is treated as empty history.
+   * Pass the saved `undosUsed` (see getState) so a reload does not give
+   * back undos under a limit, and `commands: true` when the history holds
+   * commands, so it is not capped.
+   **************************************************************************/
+  function importHistory(snapshots, options = {}) {
+    redoStack = [];
+    undosUsed = Number.isInteger(options.undosUsed) && options.undosUsed > 0 ? options.undosUsed : 0;
+    holdsCommands = options.commands === true;
+    history = Array.isArray(snapshots)
+      ? snapshots.filter(snapshot => snapshot != null).map(cloneState)
+      : [];
+
+    trimHistory();
+    notify();
+  }
+
   // Public API exposed to game scripts.
   return {
     reset,
     setMaxHistory,
+    setUndoLimit,
+    getState,
+    subscribe,
     pushSnapshot,
+    pushCommand,
     canUndo,
     undo,
+    undoCommand,
+    canRedo,
+    redo,
+    redoCommand,
     getHistorySize,
+    exportHistory,
+    importHistory,
   };
 })();
 